@@ -1,29 +1,320 @@
 // --- 1. IMPORT LIBRARIES ---
 const express = require("express");
-const { Pool } = require("pg"); // <--- CHANGED
+const { Pool, types } = require("pg"); // <--- CHANGED
 const cors = require("cors");
 const Excel = require("exceljs");
+const { Readable } = require("stream");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { AsyncLocalStorage } = require("async_hooks");
 
 // --- 2. INITIALIZE APP & SETTINGS ---
 const app = express();
+// Render sits behind a proxy; this makes req.ip the real client address
+app.set("trust proxy", 1);
 // Use port from environment or 3000
 const PORT = process.env.PORT || 3000;
+// Secret used to sign login tokens. Without one, a random secret is used
+// and everyone has to log in again after a restart.
+const JWT_SECRET =
+  process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) {
+  console.warn("JWT_SECRET is not set; using a temporary secret.");
+}
+const TOKEN_TTL = process.env.TOKEN_TTL || "12h";
+// Roles are ordered: each role can do everything the ones before it can
+const ROLES = ["viewer", "manager", "admin"];
+// Comma-separated list of frontend origins allowed to call the API
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
 
 // --- 3. MIDDLEWARE ---
-app.use(cors());
-app.use(express.json());
+app.use(
+  cors({
+    origin: ALLOWED_ORIGINS,
+    allowedHeaders: ["Content-Type", "Authorization"],
+  })
+);
+app.use(express.json({ limit: "2mb" })); // whole-month roster saves are large
 
 // --- 4. CONNECT TO DATABASE ---
-// This tells the app to use the Render database URL
-const db = new Pool({
-  connectionString: process.env.DATABASE_URL, // <--- CHANGED
-  ssl: {
-    rejectUnauthorized: false, // Required for Render connections
-  },
-});
-console.log("Connecting to PostgreSQL database...");
+// DB_CLIENT picks the storage: "postgres" (the default, via DATABASE_URL)
+// or "sqlite" (SQLITE_FILE, in-memory if unset) for local runs and tests.
+// Both adapters offer the same pg-style interface to the rest of the file:
+// query(sql, params) resolving to { rows, rowCount }, and transaction(work).
+const DB_CLIENT = process.env.DB_CLIENT || "postgres";
+
+function createPostgresAdapter() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL, // <--- CHANGED
+    // Render needs SSL without certificate checks; a local server may not
+    // speak SSL at all, so DATABASE_SSL=false turns it off
+    ssl:
+      process.env.DATABASE_SSL === "false"
+        ? false
+        : { rejectUnauthorized: false },
+  });
+
+  // Hand DATE columns back as plain "YYYY-MM-DD" strings instead of JS
+  // Dates (which would shift with the server's time zone)
+  types.setTypeParser(1082, (value) => value);
+
+  return {
+    dialect: "postgres",
+    query: (sql, params = []) => pool.query(sql, params),
+    async transaction(work) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await work(client);
+        await client.query("COMMIT");
+        return result;
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+  };
+}
+
+const SQLITE_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Rewrites the PostgreSQL used in this file into SQLite. Arrays passed to
+// `= ANY($n::type[])` are bound as JSON and read back with json_each.
+function toSqliteSql(sql) {
+  return sql
+    .replace(/\bSERIAL PRIMARY KEY\b/gi, "INTEGER PRIMARY KEY AUTOINCREMENT")
+    .replace(/\bTIMESTAMPTZ\b/gi, "TEXT")
+    .replace(/DEFAULT NOW\(\)/gi, `DEFAULT (${SQLITE_NOW})`)
+    .replace(/\bNOW\(\)/gi, SQLITE_NOW)
+    .replace(
+      /=\s*ANY\(\$(\d+)(::\w+\[\])?\)/gi,
+      "IN (SELECT value FROM json_each(?$1))"
+    )
+    .replace(/::\w+/g, "")
+    .replace(/\bFOR UPDATE\b/gi, "")
+    .replace(/\$(\d+)/g, "?$1");
+}
+
+function createSqliteAdapter() {
+  // Loaded here so Postgres deployments never need the native module
+  const sqlite3 = require("sqlite3");
+  const conn = new sqlite3.Database(process.env.SQLITE_FILE || ":memory:");
+  conn.run("PRAGMA foreign_keys = ON");
+
+  const exec = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      const text = toSqliteSql(sql);
+      const values = params.map((p) =>
+        Array.isArray(p) ? JSON.stringify(p) : p === undefined ? null : p
+      );
+      if (
+        /^\s*(SELECT|WITH|PRAGMA)\b/i.test(text) ||
+        /\bRETURNING\b/i.test(text)
+      ) {
+        conn.all(text, values, (err, rows) =>
+          err ? reject(err) : resolve({ rows, rowCount: rows.length })
+        );
+      } else {
+        conn.run(text, values, function (err) {
+          if (err) reject(err);
+          else resolve({ rows: [], rowCount: this.changes });
+        });
+      }
+    });
+
+  // There is a single connection, so work is queued: a transaction holds
+  // the queue until it finishes, and queries made from inside it (through
+  // the client or `db.query`) skip the queue instead of waiting on it.
+  const inTransaction = new AsyncLocalStorage();
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    dialect: "sqlite",
+    query: (sql, params) =>
+      inTransaction.getStore()
+        ? exec(sql, params)
+        : enqueue(() => exec(sql, params)),
+    transaction: (work) =>
+      enqueue(() =>
+        inTransaction.run(true, async () => {
+          await exec("BEGIN");
+          try {
+            const result = await work({ query: exec });
+            await exec("COMMIT");
+            return result;
+          } catch (err) {
+            await exec("ROLLBACK");
+            throw err;
+          }
+        })
+      ),
+  };
+}
+
+const db =
+  DB_CLIENT === "sqlite" ? createSqliteAdapter() : createPostgresAdapter();
+console.log(
+  DB_CLIENT === "sqlite"
+    ? `Using SQLite database ${process.env.SQLITE_FILE || "(in memory)"}...`
+    : "Connecting to PostgreSQL database..."
+);
 
 // --- 5. CREATE DATABASE TABLES ---
+const SHIFT_CATEGORIES = ["work", "off", "leave", "holiday"];
+const DEFAULT_SHIFT_CODES = [
+  {
+    code: "A",
+    label: "Afternoon",
+    category: "work",
+    start: "14:00",
+    end: "20:00",
+    color: null,
+    ward: true,
+  },
+  {
+    code: "M",
+    label: "Morning",
+    category: "work",
+    start: "08:00",
+    end: "14:00",
+    color: null,
+    ward: true,
+  },
+  {
+    code: "N",
+    label: "Night",
+    category: "work",
+    start: "20:00",
+    end: "08:00",
+    color: null,
+    ward: true,
+  },
+  {
+    code: "G",
+    label: "General Shift",
+    category: "work",
+    start: "09:00",
+    end: "17:00",
+    color: null,
+    ward: true,
+  },
+  {
+    code: "WO",
+    label: "Weekly Off",
+    category: "off",
+    start: null,
+    end: null,
+    color: "#FFFF00",
+    ward: false,
+  },
+  {
+    code: "NO",
+    label: "Night Off",
+    category: "off",
+    start: null,
+    end: null,
+    color: "#FFFF00",
+    ward: false,
+  },
+  {
+    code: "SO",
+    label: "Saturday Off",
+    category: "off",
+    start: null,
+    end: null,
+    color: "#FFFF00",
+    ward: false,
+  },
+  {
+    code: "PL",
+    label: "Planned Leave",
+    category: "leave",
+    start: null,
+    end: null,
+    color: "#FFFF00",
+    ward: false,
+  },
+  {
+    code: "SL",
+    label: "Sick Leave",
+    category: "leave",
+    start: null,
+    end: null,
+    color: "#FFFF00",
+    ward: false,
+  },
+  {
+    code: "NH",
+    label: "National Holiday",
+    category: "holiday",
+    start: null,
+    end: null,
+    color: "#FFFF00",
+    ward: false,
+  },
+  {
+    code: "PH",
+    label: "Festival Holiday",
+    category: "holiday",
+    start: null,
+    end: null,
+    color: "#FFFF00",
+    ward: false,
+  },
+];
+
+// "*" as a ward means every ward that has staff on that day
+const DEFAULT_RULES = [
+  { key: "min_rest", severity: "hard", params: { hours: 11 } },
+  { key: "max_consecutive_nights", severity: "hard", params: { max: 6 } },
+  { key: "max_consecutive_work_days", severity: "soft", params: { max: 6 } },
+  {
+    key: "min_headcount",
+    severity: "soft",
+    params: { requirements: [{ ward: "*", shift: "N", min: 1 }] },
+  },
+  // Only checked for nurses with at least one ward credential on record
+  { key: "ward_credentials", severity: "soft", params: {} },
+];
+
+// Fields the payroll export can put in its columns, with default headers
+const PAYROLL_FIELDS = {
+  nurseId: "Nurse ID",
+  fullName: "Name",
+  groupId: "Group",
+  month: "Month",
+  daysWorked: "Days Worked",
+  totalHours: "Total Hours",
+  nightHours: "Night Hours",
+  holidayHours: "Holiday Hours",
+  overtimeHours: "Overtime Hours",
+  paidLeaveDays: "Paid Leave Days",
+  unpaidLeaveDays: "Unpaid Leave Days",
+};
+const DEFAULT_PAYROLL_SETTINGS = {
+  weeklyOvertimeHours: 48,
+  nightStart: "22:00",
+  nightEnd: "06:00",
+  delimiter: ",",
+  columns: Object.entries(PAYROLL_FIELDS).map(([field, header]) => ({
+    field,
+    header,
+  })),
+};
+
+// The baseline schema. Changes to existing tables go in MIGRATIONS below,
+// which run after this on every start.
 const createTables = async () => {
   try {
     // "SERIAL PRIMARY KEY" is the PostgreSQL version of "AUTOINCREMENT"
@@ -35,6 +326,20 @@ const createTables = async () => {
           )
       `);
 
+    // Which group a nurse was in, and when. Together the rows are the
+    // nurse's employment: a day outside all of them is before they joined
+    // or after they left. NULL dates mean "open-ended".
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Nurse_Groups (
+              membership_id SERIAL PRIMARY KEY,
+              nurse_id INTEGER NOT NULL,
+              group_id INTEGER NOT NULL,
+              start_date DATE,
+              end_date DATE,
+              FOREIGN KEY (nurse_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE
+          )
+      `);
+
     // Added "ON DELETE CASCADE" so if a nurse is deleted, their rosters are too
     await db.query(`
           CREATE TABLE IF NOT EXISTS Roster_Planned (
@@ -59,323 +364,5639 @@ const createTables = async () => {
               UNIQUE(nurse_id, date) 
           )
       `);
+
+    // The shift code catalog replaces the hardcoded code lists
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Shift_Codes (
+              code TEXT PRIMARY KEY,
+              label TEXT NOT NULL,
+              category TEXT NOT NULL,
+              start_time TEXT,
+              end_time TEXT,
+              color TEXT,
+              requires_ward BOOLEAN NOT NULL DEFAULT FALSE,
+              sort_order INTEGER NOT NULL DEFAULT 0
+          )
+      `);
+
+    // Seed the codes the hospital started with (existing rows are kept)
+    for (const [i, c] of DEFAULT_SHIFT_CODES.entries()) {
+      await db.query(
+        `INSERT INTO Shift_Codes
+            (code, label, category, start_time, end_time, color, requires_ward, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (code) DO NOTHING`,
+        [c.code, c.label, c.category, c.start, c.end, c.color, c.ward, i + 1]
+      );
+    }
+
+    // Ward master data; roster rows store the ward code in their ward column
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Wards (
+              ward_id SERIAL PRIMARY KEY,
+              code TEXT NOT NULL UNIQUE,
+              name TEXT NOT NULL,
+              bed_count INTEGER,
+              active BOOLEAN NOT NULL DEFAULT TRUE
+          )
+      `);
+
+    // What a nurse is qualified in (free text such as "ICU" or
+    // "Paediatrics") and which wards they may be rostered on
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Nurse_Qualifications (
+              nurse_id INTEGER NOT NULL,
+              qualification TEXT NOT NULL,
+              PRIMARY KEY (nurse_id, qualification),
+              FOREIGN KEY (nurse_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE
+          )
+      `);
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Nurse_Wards (
+              nurse_id INTEGER NOT NULL,
+              ward_code TEXT NOT NULL,
+              PRIMARY KEY (nurse_id, ward_code),
+              FOREIGN KEY (nurse_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE,
+              FOREIGN KEY (ward_code) REFERENCES Wards (code) ON DELETE CASCADE
+          )
+      `);
+
+    // One row per roster change. nurse_id has no foreign key so the history
+    // survives the nurse being deleted.
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Roster_Audit (
+              audit_id SERIAL PRIMARY KEY,
+              roster TEXT NOT NULL,
+              action TEXT NOT NULL,
+              nurse_id INTEGER,
+              nurse_name TEXT,
+              date TEXT,
+              old_shift TEXT,
+              old_ward TEXT,
+              new_shift TEXT,
+              new_ward TEXT,
+              details TEXT,
+              changed_by TEXT,
+              client TEXT,
+              changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+      `);
+    await db.query(
+      "CREATE INDEX IF NOT EXISTS idx_roster_audit_date ON Roster_Audit (date)"
+    );
+
+    // A rotation is an ordered, repeating list of shift codes
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Rotation_Patterns (
+              pattern_id SERIAL PRIMARY KEY,
+              name TEXT NOT NULL UNIQUE,
+              sequence TEXT NOT NULL
+          )
+      `);
+
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Leave_Requests (
+              request_id SERIAL PRIMARY KEY,
+              nurse_id INTEGER NOT NULL,
+              start_date TEXT NOT NULL,
+              end_date TEXT NOT NULL,
+              leave_code TEXT NOT NULL,
+              reason TEXT,
+              status TEXT NOT NULL DEFAULT 'pending',
+              requested_by TEXT,
+              requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+              decided_by TEXT,
+              decided_at TIMESTAMPTZ,
+              decision_note TEXT,
+              FOREIGN KEY (nurse_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE
+          )
+      `);
+
+    // Two nurses trading planned shifts on one or two dates
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Shift_Swaps (
+              swap_id SERIAL PRIMARY KEY,
+              nurse_a_id INTEGER NOT NULL,
+              nurse_b_id INTEGER NOT NULL,
+              date_a TEXT NOT NULL,
+              date_b TEXT,
+              reason TEXT,
+              status TEXT NOT NULL DEFAULT 'pending',
+              swapped TEXT,
+              requested_by TEXT,
+              requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+              decided_by TEXT,
+              decided_at TIMESTAMPTZ,
+              decision_note TEXT,
+              FOREIGN KEY (nurse_a_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE,
+              FOREIGN KEY (nurse_b_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE
+          )
+      `);
+
+    // Secret links to the .ics roster feeds, one nurse or one ward each.
+    // Revoked feeds keep their row so the old link stays dead.
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Calendar_Feeds (
+              feed_id SERIAL PRIMARY KEY,
+              token TEXT NOT NULL UNIQUE,
+              nurse_id INTEGER,
+              ward TEXT,
+              created_by TEXT,
+              created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+              revoked_at TIMESTAMPTZ,
+              FOREIGN KEY (nurse_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE
+          )
+      `);
+
+    // How many days of each leave code a nurse gets per year. Unused days
+    // carry into the following year, up to that year's carry_over_max.
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Leave_Entitlements (
+              nurse_id INTEGER NOT NULL,
+              year INTEGER NOT NULL,
+              leave_code TEXT NOT NULL,
+              days INTEGER NOT NULL,
+              carry_over_max INTEGER NOT NULL DEFAULT 0,
+              PRIMARY KEY (nurse_id, year, leave_code),
+              FOREIGN KEY (nurse_id) REFERENCES Nurses (nurse_id) ON DELETE CASCADE
+          )
+      `);
+
+    // Configurable roster constraints, see the rules engine below
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Roster_Rules (
+              rule_key TEXT PRIMARY KEY,
+              enabled BOOLEAN NOT NULL DEFAULT TRUE,
+              severity TEXT NOT NULL DEFAULT 'soft',
+              params TEXT NOT NULL DEFAULT '{}'
+          )
+      `);
+    for (const rule of DEFAULT_RULES) {
+      await db.query(
+        `INSERT INTO Roster_Rules (rule_key, enabled, severity, params)
+         VALUES ($1, TRUE, $2, $3)
+         ON CONFLICT (rule_key) DO NOTHING`,
+        [rule.key, rule.severity, JSON.stringify(rule.params)]
+      );
+    }
+
+    // JSON settings blobs for features that need configuring, by key
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS App_Settings (
+              setting_key TEXT PRIMARY KEY,
+              value TEXT NOT NULL
+          )
+      `);
+    await db.query(
+      `INSERT INTO App_Settings (setting_key, value) VALUES ('payroll', $1)
+       ON CONFLICT (setting_key) DO NOTHING`,
+      [JSON.stringify(DEFAULT_PAYROLL_SETTINGS)]
+    );
+
+    // Public holidays; see HOLIDAY_CODES for how each type is rostered
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Holidays (
+              holiday_id SERIAL PRIMARY KEY,
+              date DATE NOT NULL UNIQUE,
+              name TEXT NOT NULL,
+              type TEXT NOT NULL DEFAULT 'national'
+          )
+      `);
+
+    await db.query(`
+          CREATE TABLE IF NOT EXISTS Users (
+              user_id SERIAL PRIMARY KEY,
+              username TEXT NOT NULL UNIQUE,
+              password_hash TEXT NOT NULL,
+              role TEXT NOT NULL DEFAULT 'viewer'
+          )
+      `);
+
+    // Create the first admin account from the environment on a fresh database
+    const users = await db.query("SELECT COUNT(*) AS count FROM Users");
+    if (Number(users.rows[0].count) === 0) {
+      const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+      if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+        await db.query(
+          "INSERT INTO Users (username, password_hash, role) VALUES ($1, $2, 'admin')",
+          [ADMIN_USERNAME, await bcrypt.hash(ADMIN_PASSWORD, 10)]
+        );
+        console.log(`Created admin user "${ADMIN_USERNAME}".`);
+      } else {
+        console.warn(
+          "No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create an admin."
+        );
+      }
+    }
+    await runMigrations();
     console.log("Database tables are ready.");
   } catch (err) {
     console.error("Error creating tables:", err);
+    throw err;
   }
 };
-createTables(); // Run the table creation
 
-// --- UPDATED HELPER FUNCTIONS for 'pg' ---
-// pg.query returns promises, so we just get the 'rows' property
+// --- 5b. SCHEMA MIGRATIONS ---
+// Ordered up-migrations. Each one runs once, in its own transaction, and is
+// recorded in Schema_Migrations. Never change a migration once it has been
+// deployed; add a new one with the next version number instead.
+
+// Old TEXT date columns accepted anything. Before one is converted to
+// DATE, stop with the values that would not convert so they can be fixed
+// by hand first.
+async function checkTextDates(client, table, column) {
+  const values = await client.query(
+    `SELECT DISTINCT ${column}::text AS value FROM ${table}
+     WHERE ${column} IS NOT NULL AND ${column}::text <> ''`
+  );
+  const bad = values.rows.map((r) => r.value).filter((v) => !isValidDate(v));
+  if (bad.length > 0) {
+    throw new Error(
+      `${table}.${column} has values that are not YYYY-MM-DD dates: ${bad
+        .slice(0, 20)
+        .map((v) => JSON.stringify(v))
+        .join(", ")}${bad.length > 20 ? ` and ${bad.length - 20} more` : ""}`
+    );
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Store roster dates as DATE",
+    up: async (client) => {
+      // SQLite has no column types to change; dates are already ISO text
+      if (db.dialect !== "postgres") return;
+      for (const table of ["Roster_Planned", "Roster_Actual"]) {
+        await checkTextDates(client, table, "date");
+        await client.query(
+          `ALTER TABLE ${table} ALTER COLUMN date TYPE DATE USING date::date`
+        );
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Index roster tables by date for month range queries",
+    up: async (client) => {
+      await client.query(
+        "CREATE INDEX IF NOT EXISTS idx_roster_planned_date ON Roster_Planned (date)"
+      );
+      await client.query(
+        "CREATE INDEX IF NOT EXISTS idx_roster_actual_date ON Roster_Actual (date)"
+      );
+    },
+  },
+  {
+    version: 3,
+    description: "Store audit, leave request and swap dates as DATE",
+    up: async (client) => {
+      if (db.dialect !== "postgres") return;
+      await checkTextDates(client, "Roster_Audit", "date");
+      await checkTextDates(client, "Leave_Requests", "start_date");
+      await checkTextDates(client, "Leave_Requests", "end_date");
+      await checkTextDates(client, "Shift_Swaps", "date_a");
+      await checkTextDates(client, "Shift_Swaps", "date_b");
+      await client.query(
+        "ALTER TABLE Roster_Audit ALTER COLUMN date TYPE DATE USING NULLIF(date, '')::date"
+      );
+      await client.query(
+        `ALTER TABLE Leave_Requests
+             ALTER COLUMN start_date TYPE DATE USING start_date::date,
+             ALTER COLUMN end_date TYPE DATE USING end_date::date`
+      );
+      await client.query(
+        `ALTER TABLE Shift_Swaps
+             ALTER COLUMN date_a TYPE DATE USING date_a::date,
+             ALTER COLUMN date_b TYPE DATE USING NULLIF(date_b, '')::date`
+      );
+    },
+  },
+  {
+    version: 4,
+    description: "Mark shift codes as paid or unpaid for payroll",
+    up: async (client) => {
+      await client.query(
+        "ALTER TABLE Shift_Codes ADD COLUMN paid BOOLEAN NOT NULL DEFAULT TRUE"
+      );
+    },
+  },
+  {
+    version: 5,
+    description: "Add employment dates and group history to nurses",
+    up: async (client) => {
+      await client.query("ALTER TABLE Nurses ADD COLUMN start_date DATE");
+      await client.query("ALTER TABLE Nurses ADD COLUMN end_date DATE");
+      await client.query(
+        "ALTER TABLE Nurses ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE"
+      );
+      // Existing nurses have been in their group since before records began
+      await client.query(
+        "INSERT INTO Nurse_Groups (nurse_id, group_id) SELECT nurse_id, group_id FROM Nurses"
+      );
+    },
+  },
+  {
+    version: 6,
+    description: "Add employee number, designation and contact details",
+    up: async (client) => {
+      await client.query("ALTER TABLE Nurses ADD COLUMN employee_no TEXT");
+      await client.query("ALTER TABLE Nurses ADD COLUMN designation TEXT");
+      await client.query("ALTER TABLE Nurses ADD COLUMN phone TEXT");
+      await client.query("ALTER TABLE Nurses ADD COLUMN email TEXT");
+      await client.query(
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_nurses_employee_no ON Nurses (employee_no)"
+      );
+    },
+  },
+  {
+    version: 7,
+    description: "Add row versions to the planned and actual rosters",
+    up: async (client) => {
+      await client.query(
+        "ALTER TABLE Roster_Planned ADD COLUMN version INTEGER NOT NULL DEFAULT 1"
+      );
+      await client.query(
+        "ALTER TABLE Roster_Actual ADD COLUMN version INTEGER NOT NULL DEFAULT 1"
+      );
+    },
+  },
+];
+
+async function runMigrations() {
+  await db.query(`
+        CREATE TABLE IF NOT EXISTS Schema_Migrations (
+            version INTEGER PRIMARY KEY,
+            description TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+  const applied = new Set(
+    (await dbAllAsync("SELECT version FROM Schema_Migrations")).map(
+      (r) => r.version
+    )
+  );
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    await withTransaction(async (client) => {
+      await migration.up(client);
+      await client.query(
+        "INSERT INTO Schema_Migrations (version, description) VALUES ($1, $2)",
+        [migration.version, migration.description]
+      );
+    });
+    console.log(
+      `Applied migration ${migration.version}: ${migration.description}`
+    );
+  }
+}
+
+// --- DATABASE HELPER FUNCTIONS ---
+// db.query returns promises (for either adapter), so we just get the 'rows' property
 function dbAllAsync(sql, params = []) {
   return db.query(sql, params).then((res) => res.rows);
 }
-// pg.query is used for INSERT/UPDATE/DELETE
-function dbRunAsync(sql, params = []) {
-  return db.query(sql, params);
+// pg.query is used for INSERT/UPDATE/DELETE
+function dbRunAsync(sql, params = []) {
+  return db.query(sql, params);
+}
+
+// Loads the shift code catalog and indexes it by code
+async function getShiftCodeMap() {
+  const codes = await dbAllAsync("SELECT * FROM Shift_Codes");
+  const map = {};
+  codes.forEach((c) => (map[c.code] = c));
+  return map;
+}
+
+// Turns "#RRGGBB" into the ARGB form exceljs expects
+function toArgb(color) {
+  return `FF${color.replace("#", "").toUpperCase()}`;
+}
+
+// Checks a shift code body from POST/PUT, returns an error message or null
+function validateShiftCode(body) {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!body.label) return "Label is required";
+  if (!SHIFT_CATEGORIES.includes(body.category)) {
+    return `Category must be one of: ${SHIFT_CATEGORIES.join(", ")}`;
+  }
+  if (body.startTime && !timePattern.test(body.startTime)) {
+    return "Start time must be in HH:MM format";
+  }
+  if (body.endTime && !timePattern.test(body.endTime)) {
+    return "End time must be in HH:MM format";
+  }
+  if (body.color && !/^#[0-9a-fA-F]{6}$/.test(body.color)) {
+    return "Color must be a hex value like #FFFF00";
+  }
+  return null;
+}
+
+// Turns "YYYY-MM" into a half-open date range, so month filters can be
+// written as `date >= from AND date < to` and use the date indexes.
+// Returns null for anything that is not a valid month.
+function monthRange(month) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || "")) return null;
+  const [year, monthNum] = month.split("-").map(Number);
+  const next =
+    monthNum === 12
+      ? `${year + 1}-01`
+      : `${year}-${String(monthNum + 1).padStart(2, "0")}`;
+  return { from: `${month}-01`, to: `${next}-01` };
+}
+
+// Nurses employed at some point in [from, to). Each comes with the
+// membership periods that overlap the range and, as group_id, the group
+// they were in last during it.
+async function getEmployedNurses(from, to) {
+  const rows = await dbAllAsync(
+    `SELECT n.nurse_id, n.full_name, n.start_date, n.end_date, n.active,
+            g.group_id, g.start_date AS member_from, g.end_date AS member_to
+     FROM Nurses n
+     JOIN Nurse_Groups g ON g.nurse_id = n.nurse_id
+     WHERE (g.start_date IS NULL OR g.start_date < $2)
+       AND (g.end_date IS NULL OR g.end_date >= $1)`,
+    [from, to]
+  );
+  rows.sort((a, b) => (a.member_from || "").localeCompare(b.member_from || ""));
+  const byId = new Map();
+  rows.forEach(({ member_from, member_to, ...nurse }) => {
+    const entry = byId.get(nurse.nurse_id) || { ...nurse, periods: [] };
+    entry.group_id = nurse.group_id;
+    entry.periods.push({ from: member_from, to: member_to });
+    byId.set(nurse.nurse_id, entry);
+  });
+  return [...byId.values()].sort(
+    (a, b) =>
+      a.group_id - b.group_id ||
+      (a.full_name < b.full_name ? -1 : a.full_name > b.full_name ? 1 : 0)
+  );
+}
+
+function isEmployedOn(nurse, date) {
+  return nurse.periods.some(
+    (p) => (!p.from || p.from <= date) && (!p.to || p.to >= date)
+  );
+}
+
+// Builds the per-nurse, per-day planned/actual grid for a "YYYY-MM" month.
+// Only nurses employed during the month are included, and only the days
+// they were employed are filled in.
+async function buildMonthData(month) {
+  const range = monthRange(month);
+  if (!range) throw new Error(`Invalid month: ${month}`);
+  const nurses = await getEmployedNurses(range.from, range.to);
+  const planned = await dbAllAsync(
+    "SELECT * FROM Roster_Planned WHERE date >= $1 AND date < $2",
+    [range.from, range.to]
+  );
+  const actual = await dbAllAsync(
+    "SELECT * FROM Roster_Actual WHERE date >= $1 AND date < $2",
+    [range.from, range.to]
+  );
+
+  const dataMap = {};
+  nurses.forEach((n) => (dataMap[n.nurse_id] = { nurse: n, shifts: {} }));
+
+  const [year, monthNum] = month.split("-").map(Number);
+  const daysInMonth = new Date(year, monthNum, 0).getDate();
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    nurses.forEach(
+      (n) =>
+        (dataMap[n.nurse_id].shifts[day] = {
+          planned: "",
+          actual: "",
+          plannedVersion: 0,
+        })
+    );
+  }
+
+  const employed = (row) =>
+    dataMap[row.nurse_id] &&
+    isEmployedOn(dataMap[row.nurse_id].nurse, row.date);
+
+  planned.forEach((p) => {
+    if (p.date && employed(p)) {
+      try {
+        const day = parseInt(p.date.split("-")[2], 10);
+        if (day && dataMap[p.nurse_id].shifts[day]) {
+          dataMap[p.nurse_id].shifts[day].planned = p.shift_code;
+          dataMap[p.nurse_id].shifts[day].plannedVersion = Number(p.version);
+        }
+      } catch (e) {
+        console.error(`Skipping bad planned date: ${p.date}`);
+      }
+    }
+  });
+
+  actual.forEach((a) => {
+    if (a.date && employed(a)) {
+      try {
+        const day = parseInt(a.date.split("-")[2], 10);
+        if (day && dataMap[a.nurse_id].shifts[day]) {
+          dataMap[a.nurse_id].shifts[day].actual = a.shift_code;
+        }
+      } catch (e) {
+        console.error(`Skipping bad actual date: ${a.date}`);
+      }
+    }
+  });
+
+  return { nurses, dataMap, daysInMonth };
+}
+
+// Shades a report cell with the highlight colour of its shift code
+function fillShiftCell(cell, shiftCodes) {
+  const code = shiftCodes[cell.value];
+  if (code && code.color) {
+    cell.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: toArgb(code.color) },
+    };
+  }
+}
+
+// Night shifts are work codes whose end time wraps past midnight
+function isNightShift(code) {
+  return (
+    !!code &&
+    code.category === "work" &&
+    !!code.start_time &&
+    !!code.end_time &&
+    code.end_time < code.start_time
+  );
+}
+
+// --- ROSTER WRITE HELPERS ---
+const ROSTER_TABLES = { planned: "Roster_Planned", actual: "Roster_Actual" };
+
+// Live-update events published by the running transaction, held back
+// until it commits so nobody hears about a change that was rolled back
+const pendingEvents = new AsyncLocalStorage();
+
+// Runs `work(client)` inside BEGIN/COMMIT, rolling back if it throws
+async function withTransaction(work) {
+  const events = [];
+  const result = await pendingEvents.run(events, () => db.transaction(work));
+  events.forEach((e) => broadcast(e.type, e.data));
+  return result;
+}
+
+// Open /api/events streams, one { res, user } per connected tracker
+const eventClients = new Set();
+
+function sendEvent(client, type, data) {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(type, data) {
+  eventClients.forEach((client) => sendEvent(client, type, data));
+}
+
+// Broadcasts an event now, or once the surrounding transaction commits
+function publish(type, data) {
+  const events = pendingEvents.getStore();
+  if (events) events.push({ type, data });
+  else broadcast(type, data);
+}
+
+// Maps each entry's ward to a known, active ward code (case-insensitive)
+// in place. Returns a list of { index, nurseId, ward, error } for bad wards.
+async function resolveWards(entries) {
+  const wards = await dbAllAsync("SELECT code, active FROM Wards");
+  const byCode = {};
+  wards.forEach((w) => (byCode[w.code.toUpperCase()] = w));
+  const errors = [];
+  entries.forEach((e, index) => {
+    if (e.ward === undefined || e.ward === null || e.ward === "") return;
+    const ward = byCode[String(e.ward).trim().toUpperCase()];
+    if (!ward) {
+      errors.push({
+        index,
+        nurseId: e.nurseId,
+        ward: e.ward,
+        error: "Unknown ward",
+      });
+    } else if (!ward.active) {
+      errors.push({
+        index,
+        nurseId: e.nurseId,
+        ward: e.ward,
+        error: "Ward is inactive",
+      });
+    } else {
+      e.ward = ward.code;
+    }
+  });
+  return errors;
+}
+
+// Who made a change, for the audit trail
+function auditActor(req) {
+  return {
+    user: req.user ? req.user.username : null,
+    client: `${req.ip || ""} ${req.get("user-agent") || ""}`.trim(),
+  };
+}
+
+// Upserts roster entries ({ nurseId, date, shift, ward }) into the planned
+// or actual table and writes an audit row for every cell that changed.
+// A ward of `undefined` keeps whatever ward is already stored. Every write
+// bumps the row's version, and open trackers are told which days changed.
+// Returns the list of changes that were made, each with its new version.
+// A row the entry expects not to exist yet (version 0) is never
+// overwritten: if a concurrent save created it first, this throws an error
+// with code ROSTER_ROW_TAKEN and the transaction is rolled back.
+async function saveRosterEntries(client, kind, entries, actor) {
+  const table = ROSTER_TABLES[kind];
+  if (entries.length === 0) return [];
+
+  // The last entry wins if the same nurse/day appears twice
+  const byKey = new Map();
+  entries.forEach((e) => byKey.set(`${e.nurseId}|${e.date}`, e));
+
+  const nurseIds = [
+    ...new Set([...byKey.values()].map((e) => Number(e.nurseId))),
+  ];
+  const dates = [...new Set([...byKey.values()].map((e) => e.date))];
+  const existingRows = await client.query(
+    `SELECT nurse_id, date, shift_code, ward FROM ${table}
+     WHERE nurse_id = ANY($1::integer[]) AND date = ANY($2::date[])`,
+    [nurseIds, dates]
+  );
+  const existing = new Map();
+  existingRows.rows.forEach((r) => existing.set(`${r.nurse_id}|${r.date}`, r));
+
+  const changes = [];
+  byKey.forEach((e, key) => {
+    const old = existing.get(key);
+    const newShift = e.shift || null;
+    let newWard = e.ward === undefined ? (old ? old.ward : null) : e.ward;
+    newWard = newWard || null;
+    const unchanged = old
+      ? (old.shift_code || null) === newShift && (old.ward || null) === newWard
+      : !newShift && !newWard;
+    if (unchanged) return;
+    changes.push({
+      nurseId: Number(e.nurseId),
+      date: e.date,
+      action: old ? "update" : "insert",
+      oldShift: old ? old.shift_code : null,
+      oldWard: old ? old.ward : null,
+      newShift,
+      newWard,
+    });
+  });
+
+  // New rows the client expected to create are inserted in their own
+  // batches so they can use ON CONFLICT DO NOTHING
+  const claims = new Set(
+    changes.filter(
+      (c) =>
+        c.action === "insert" &&
+        byKey.get(`${c.nurseId}|${c.date}`).version === 0
+    )
+  );
+  const batches = [];
+  const batchSize = 500;
+  [[...claims], changes.filter((c) => !claims.has(c))].forEach((group) => {
+    for (let i = 0; i < group.length; i += batchSize) {
+      batches.push(group.slice(i, i + batchSize));
+    }
+  });
+  for (const batch of batches) {
+    const onConflict = claims.has(batch[0])
+      ? "DO NOTHING"
+      : `DO UPDATE SET
+           shift_code = excluded.shift_code,
+           ward = excluded.ward,
+           version = ${table}.version + 1`;
+    const params = [];
+    const values = batch.map((c, j) => {
+      params.push(c.nurseId, c.date, c.newShift, c.newWard);
+      const base = j * 4;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`;
+    });
+    const saved = await client.query(
+      `INSERT INTO ${table} (nurse_id, date, shift_code, ward)
+       VALUES ${values.join(", ")}
+       ON CONFLICT (nurse_id, date) ${onConflict}
+       RETURNING nurse_id, date, version`,
+      params
+    );
+    const versions = new Map();
+    saved.rows.forEach((r) =>
+      versions.set(`${r.nurse_id}|${r.date}`, Number(r.version))
+    );
+    if (saved.rows.length < batch.length) {
+      const err = new Error("A roster cell was created by someone else");
+      err.code = "ROSTER_ROW_TAKEN";
+      throw err;
+    }
+    batch.forEach((c) => (c.version = versions.get(`${c.nurseId}|${c.date}`)));
+
+    const auditParams = [];
+    const auditValues = batch.map((c, j) => {
+      auditParams.push(
+        kind,
+        c.action,
+        c.nurseId,
+        c.date,
+        c.oldShift,
+        c.oldWard,
+        c.newShift,
+        c.newWard,
+        actor.user,
+        actor.client
+      );
+      const base = j * 10;
+      return `(${Array.from({ length: 10 }, (_, k) => `$${base + k + 1}`).join(
+        ", "
+      )})`;
+    });
+    await client.query(
+      `INSERT INTO Roster_Audit
+          (roster, action, nurse_id, date, old_shift, old_ward,
+           new_shift, new_ward, changed_by, client)
+       VALUES ${auditValues.join(", ")}`,
+      auditParams
+    );
+  }
+  if (changes.length > 0) {
+    publish("roster", {
+      kind,
+      dates: [...new Set(changes.map((c) => c.date))].sort(),
+      by: actor.user,
+    });
+  }
+  return changes;
+}
+
+// --- ROSTER RULES ENGINE ---
+
+// Date helpers for "YYYY-MM-DD" strings (UTC so DST never shifts a day)
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function dateRange(from, to) {
+  const dates = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) dates.push(d);
+  return dates;
+}
+
+// How many days dateRange(from, to) holds, without building it, so range
+// limits can be checked first
+function dayCount(from, to) {
+  const ms = Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`);
+  return Math.round(ms / (24 * 60 * 60 * 1000)) + 1;
+}
+
+function timeToMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// What each rule's params must look like. Each check returns an error
+// message or null.
+const isPositiveInteger = (v) => Number.isInteger(v) && v > 0;
+const RULE_PARAM_CHECKS = {
+  min_rest: (p) =>
+    isPositiveInteger(p.hours) ? null : "hours must be a positive whole number",
+  max_consecutive_nights: (p) =>
+    isPositiveInteger(p.max) ? null : "max must be a positive whole number",
+  max_consecutive_work_days: (p) =>
+    isPositiveInteger(p.max) ? null : "max must be a positive whole number",
+  min_headcount: (p) =>
+    Array.isArray(p.requirements) &&
+    p.requirements.every(
+      (r) =>
+        r &&
+        typeof r.ward === "string" &&
+        r.ward !== "" &&
+        typeof r.shift === "string" &&
+        r.shift !== "" &&
+        Number.isInteger(r.min) &&
+        r.min >= 0
+    )
+      ? null
+      : "requirements must be a list of { ward, shift, min } with a whole min of 0 or more",
+};
+
+function ruleParamsError(key, params) {
+  if (typeof params !== "object" || params === null || Array.isArray(params)) {
+    return "Params must be an object";
+  }
+  const check = RULE_PARAM_CHECKS[key];
+  return check ? check(params) : null;
+}
+
+async function getRules() {
+  const rows = await dbAllAsync("SELECT * FROM Roster_Rules");
+  const rules = {};
+  rows.forEach((r) => {
+    rules[r.rule_key] = { ...r, params: JSON.parse(r.params || "{}") };
+  });
+  return rules;
+}
+
+// Loads the roster around `dates` and overlays the proposed entries.
+// For the actual roster, days without an actual entry fall back to the plan.
+// Returns grid[nurseId][date] = { shift, ward }.
+async function loadEffectiveRoster(kind, from, to, proposed) {
+  const planned = await dbAllAsync(
+    "SELECT nurse_id, date, shift_code, ward FROM Roster_Planned WHERE date >= $1 AND date <= $2",
+    [from, to]
+  );
+  const actual =
+    kind === "actual"
+      ? await dbAllAsync(
+          "SELECT nurse_id, date, shift_code, ward FROM Roster_Actual WHERE date >= $1 AND date <= $2",
+          [from, to]
+        )
+      : [];
+  const grid = {};
+  const put = (nurseId, date, shift, ward) => {
+    if (!grid[nurseId]) grid[nurseId] = {};
+    grid[nurseId][date] = { shift: shift || null, ward: ward || null };
+  };
+  planned.forEach((r) => put(r.nurse_id, r.date, r.shift_code, r.ward));
+  actual.forEach((r) => put(r.nurse_id, r.date, r.shift_code, r.ward));
+  proposed.forEach((e) => {
+    // An undefined ward means "keep the stored ward", as in saveRosterEntries
+    const stored = grid[e.nurseId] && grid[e.nurseId][e.date];
+    const ward = e.ward === undefined ? stored && stored.ward : e.ward;
+    put(e.nurseId, e.date, e.shift, ward);
+  });
+  return grid;
+}
+
+// Checks proposed roster entries ({ nurseId, date, shift, ward }) against
+// the enabled rules. Returns a list of violations:
+// { rule, severity, nurseId, date, ward, shift, message }.
+async function validateRoster(kind, proposed) {
+  if (proposed.length === 0) return [];
+  const rules = await getRules();
+  const shiftCodes = await getShiftCodeMap();
+  // A rule stored with malformed params is skipped rather than failing
+  // every save
+  const active = (key) =>
+    rules[key] &&
+    rules[key].enabled &&
+    !ruleParamsError(key, rules[key].params);
+
+  const proposedDates = new Set(proposed.map((e) => e.date));
+  const sortedDates = [...proposedDates].sort();
+  const lookback =
+    Math.max(
+      active("max_consecutive_nights")
+        ? rules.max_consecutive_nights.params.max
+        : 0,
+      active("max_consecutive_work_days")
+        ? rules.max_consecutive_work_days.params.max
+        : 0
+    ) + 1;
+  const from = addDays(sortedDates[0], -lookback);
+  const to = addDays(sortedDates[sortedDates.length - 1], lookback);
+  const grid = await loadEffectiveRoster(kind, from, to, proposed);
+  const window = dateRange(from, to);
+  const touchedNurses = new Set(proposed.map((e) => String(e.nurseId)));
+
+  const violations = [];
+  const codeAt = (nurseId, date) => {
+    const cell = grid[nurseId] && grid[nurseId][date];
+    return cell && cell.shift ? shiftCodes[cell.shift] : null;
+  };
+  const isWork = (code) => !!code && code.category === "work";
+  const add = (key, nurseId, date, message, extra = {}) =>
+    violations.push({
+      rule: key,
+      severity: rules[key].severity,
+      nurseId: nurseId === null ? null : Number(nurseId),
+      date,
+      message,
+      ...extra,
+    });
+
+  touchedNurses.forEach((nurseId) => {
+    // Minimum rest between the end of one shift and the start of the next
+    if (active("min_rest")) {
+      const minHours = rules.min_rest.params.hours;
+      window.slice(1).forEach((date, i) => {
+        const prevDate = window[i];
+        const prev = codeAt(nurseId, prevDate);
+        const next = codeAt(nurseId, date);
+        if (!proposedDates.has(date) && !proposedDates.has(prevDate)) return;
+        if (!isWork(prev) || !isWork(next)) return;
+        if (!prev.start_time || !prev.end_time || !next.start_time) return;
+        let prevEnd = timeToMinutes(prev.end_time);
+        if (prevEnd <= timeToMinutes(prev.start_time)) prevEnd += 24 * 60;
+        const restHours =
+          (24 * 60 + timeToMinutes(next.start_time) - prevEnd) / 60;
+        if (restHours < minHours) {
+          add(
+            "min_rest",
+            nurseId,
+            date,
+            `Only ${restHours}h rest between ${prev.code} on ${prevDate} and ${next.code} on ${date} (minimum ${minHours}h)`,
+            { shift: next.code }
+          );
+        }
+      });
+    }
+
+    // Runs of consecutive nights / working days
+    const checkRun = (key, matches, label) => {
+      if (!active(key)) return;
+      const max = rules[key].params.max;
+      let run = [];
+      const flush = () => {
+        if (run.length > max && run.some((date) => proposedDates.has(date))) {
+          add(
+            key,
+            nurseId,
+            run[max],
+            `${run.length} consecutive ${label} from ${run[0]} to ${
+              run[run.length - 1]
+            } (maximum ${max})`
+          );
+        }
+        run = [];
+      };
+      window.forEach((date) => {
+        if (matches(codeAt(nurseId, date))) run.push(date);
+        else flush();
+      });
+      flush();
+    };
+    checkRun("max_consecutive_nights", isNightShift, "nights");
+    checkRun("max_consecutive_work_days", isWork, "working days");
+  });
+
+  // Minimum headcount per ward per shift on each proposed day
+  if (active("min_headcount")) {
+    const requirements = rules.min_headcount.params.requirements || [];
+    proposedDates.forEach((date) => {
+      const counts = {};
+      const wards = new Set();
+      Object.keys(grid).forEach((nurseId) => {
+        const cell = grid[nurseId][date];
+        if (!cell || !cell.ward || !isWork(shiftCodes[cell.shift])) return;
+        const ward = cell.ward.trim().toUpperCase();
+        wards.add(ward);
+        const key = `${ward}|${cell.shift}`;
+        counts[key] = (counts[key] || 0) + 1;
+      });
+      requirements.forEach((req) => {
+        const targets =
+          req.ward === "*" ? [...wards] : [String(req.ward).toUpperCase()];
+        targets.forEach((ward) => {
+          const count = counts[`${ward}|${req.shift}`] || 0;
+          if (count < req.min) {
+            add(
+              "min_headcount",
+              null,
+              date,
+              `${ward} has ${count} on ${req.shift} (minimum ${req.min})`,
+              { ward, shift: req.shift }
+            );
+          }
+        });
+      });
+    });
+  }
+
+  // Wards the nurse is not credentialed for
+  if (active("ward_credentials")) {
+    const credentials = await getWardCredentials();
+    proposed.forEach((e) => {
+      const cell = grid[e.nurseId] && grid[e.nurseId][e.date];
+      if (!cell || !cell.ward || !isWork(shiftCodes[cell.shift])) return;
+      const allowed = credentials[e.nurseId];
+      const ward = cell.ward.trim().toUpperCase();
+      if (!allowed || allowed.includes(ward)) return;
+      add(
+        "ward_credentials",
+        e.nurseId,
+        e.date,
+        `Not credentialed for ${ward} (credentialed for ${allowed.join(", ")})`,
+        { ward }
+      );
+    });
+  }
+
+  return violations;
+}
+
+// Ward codes each nurse is credentialed for, by nurse_id; nurses without any
+// are left out
+async function getWardCredentials() {
+  const rows = await dbAllAsync(
+    "SELECT nurse_id, ward_code FROM Nurse_Wards ORDER BY ward_code"
+  );
+  const credentials = {};
+  rows.forEach((r) =>
+    (credentials[r.nurse_id] = credentials[r.nurse_id] || []).push(r.ward_code)
+  );
+  return credentials;
+}
+
+// --- AUTHENTICATION MIDDLEWARE ---
+// Verifies a token and loads its user as they are now, so a user who was
+// deleted or demoted since signing in loses their rights straight away.
+// Returns { id, username, role }, or null when the token is not valid.
+async function userFromToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  const users = await dbAllAsync(
+    "SELECT user_id, username, role FROM Users WHERE user_id = $1",
+    [claims.id]
+  );
+  const user = users[0];
+  return user
+    ? { id: user.user_id, username: user.username, role: user.role }
+    : null;
+}
+
+// Verifies the "Authorization: Bearer <token>" header and checks that the
+// user's role is at least `minRole`. The token's user is put on req.user.
+function requireRole(minRole) {
+  return async (req, res, next) => {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+    if (!token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    try {
+      req.user = await userFromToken(token);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!req.user) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(minRole)) {
+      return res
+        .status(403)
+        .json({ error: "You do not have permission to do this" });
+    }
+    next();
+  };
+}
+
+// --- 6. API ENDPOINTS ---
+
+// --- (A) Nurse Management API ---
+// (SQL placeholders changed from ? to $1, $2, etc.)
+
+// Optional record fields, by request body key
+const NURSE_DETAIL_FIELDS = {
+  employeeNo: "employee_no",
+  designation: "designation",
+  phone: "phone",
+  email: "email",
+};
+
+// Checks the optional fields of a nurse payload; returns an error or null
+function validateNurseDetails(body) {
+  const notText = Object.keys(NURSE_DETAIL_FIELDS).find(
+    (key) =>
+      body[key] !== undefined &&
+      body[key] !== null &&
+      typeof body[key] !== "string"
+  );
+  if (notText) return `${notText} must be text`;
+  if (body.email && !/^[^@\s]+@[^@\s]+$/.test(body.email.trim())) {
+    return "Email address is not valid";
+  }
+  const isTextList = (list) =>
+    Array.isArray(list) && list.every((v) => typeof v === "string");
+  if (body.qualifications !== undefined && !isTextList(body.qualifications)) {
+    return "Qualifications must be a list of text";
+  }
+  if (body.wards !== undefined && !isTextList(body.wards)) {
+    return "Wards must be a list of ward codes";
+  }
+  return null;
+}
+
+// Trimmed, without blanks or case-insensitive duplicates
+function cleanList(list, upperCase) {
+  const seen = new Set();
+  return list
+    .map((v) => (upperCase ? v.trim().toUpperCase() : v.trim()))
+    .filter((v) => {
+      const key = v.toLowerCase();
+      if (!v || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Resolves what a POST or PUT would store, or returns [status, error].
+// Keys left out of the body are not in the result, so a PUT keeps them.
+async function nurseDetailsFromBody(body, nurseId) {
+  const validationError = validateNurseDetails(body);
+  if (validationError) return { error: [400, validationError] };
+
+  const columns = {};
+  Object.entries(NURSE_DETAIL_FIELDS).forEach(([key, column]) => {
+    if (body[key] === undefined) return;
+    columns[column] = body[key] === null ? null : body[key].trim() || null;
+  });
+  if (columns.employee_no) {
+    const taken = await dbAllAsync(
+      "SELECT full_name FROM Nurses WHERE employee_no = $1 AND nurse_id <> $2",
+      [columns.employee_no, nurseId || 0]
+    );
+    if (taken.length > 0) {
+      return {
+        error: [
+          409,
+          `Employee number ${columns.employee_no} already belongs to ${taken[0].full_name}`,
+        ],
+      };
+    }
+  }
+
+  const qualifications =
+    body.qualifications && cleanList(body.qualifications, false);
+  const wards = body.wards && cleanList(body.wards, true);
+  if (wards && wards.length > 0) {
+    const known = new Set(
+      (await dbAllAsync("SELECT code FROM Wards")).map((w) => w.code)
+    );
+    const unknown = wards.filter((code) => !known.has(code));
+    if (unknown.length > 0) {
+      return { error: [400, `Unknown ward: ${unknown.join(", ")}`] };
+    }
+  }
+  return { columns, qualifications, wards };
+}
+
+// Replaces the qualification and ward lists that were given
+async function saveNurseLists(client, nurseId, { qualifications, wards }) {
+  if (qualifications) {
+    await client.query("DELETE FROM Nurse_Qualifications WHERE nurse_id = $1", [
+      nurseId,
+    ]);
+    for (const qualification of qualifications) {
+      await client.query(
+        "INSERT INTO Nurse_Qualifications (nurse_id, qualification) VALUES ($1, $2)",
+        [nurseId, qualification]
+      );
+    }
+  }
+  if (wards) {
+    await client.query("DELETE FROM Nurse_Wards WHERE nurse_id = $1", [
+      nurseId,
+    ]);
+    for (const ward of wards) {
+      await client.query(
+        "INSERT INTO Nurse_Wards (nurse_id, ward_code) VALUES ($1, $2)",
+        [nurseId, ward]
+      );
+    }
+  }
+}
+
+// Adds qualifications: [] and wards: [] to each nurse row
+async function withNurseLists(nurses) {
+  const qualifications = await dbAllAsync(
+    "SELECT nurse_id, qualification FROM Nurse_Qualifications ORDER BY qualification"
+  );
+  const wards = await getWardCredentials();
+  return nurses.map((nurse) => ({
+    ...nurse,
+    qualifications: qualifications
+      .filter((q) => q.nurse_id === nurse.nurse_id)
+      .map((q) => q.qualification),
+    wards: wards[nurse.nurse_id] || [],
+  }));
+}
+
+// ?status=active (the default), archived or all. Also filters by
+// ?q= (part of the name or employee number), ?group=, ?designation=,
+// ?ward= (credentialed for) and ?qualification=.
+app.get("/api/nurses", requireRole("viewer"), async (req, res) => {
+  const status = req.query.status || "active";
+  if (!["active", "archived", "all"].includes(status)) {
+    return res
+      .status(400)
+      .json({ error: "Status must be active, archived or all" });
+  }
+  const { q, group, designation, ward, qualification } = req.query;
+  const conditions = [];
+  const params = [];
+  if (status !== "all") {
+    params.push(status === "active");
+    conditions.push(`active = $${params.length}`);
+  }
+  if (q) {
+    params.push(`%${q.trim().toLowerCase()}%`);
+    conditions.push(
+      `(LOWER(full_name) LIKE $${params.length} OR LOWER(employee_no) LIKE $${params.length})`
+    );
+  }
+  if (group) {
+    params.push(group);
+    conditions.push(`group_id = $${params.length}`);
+  }
+  if (designation) {
+    params.push(designation.trim().toLowerCase());
+    conditions.push(`LOWER(designation) = $${params.length}`);
+  }
+  if (ward) {
+    params.push(ward.trim().toUpperCase());
+    conditions.push(
+      `nurse_id IN (SELECT nurse_id FROM Nurse_Wards WHERE ward_code = $${params.length})`
+    );
+  }
+  if (qualification) {
+    params.push(qualification.trim().toLowerCase());
+    conditions.push(
+      `nurse_id IN (SELECT nurse_id FROM Nurse_Qualifications WHERE LOWER(qualification) = $${params.length})`
+    );
+  }
+  try {
+    const nurses = await dbAllAsync(
+      `SELECT * FROM Nurses
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY group_id, full_name`,
+      params
+    );
+    res.json(await withNurseLists(nurses));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/nurses", requireRole("admin"), async (req, res) => {
+  const { name, group } = req.body;
+  const startDate = req.body.startDate || null;
+  if (!name || !group) {
+    return res.status(400).json({ error: "Name and group are required" });
+  }
+  if (startDate && !isValidDate(startDate)) {
+    return res
+      .status(400)
+      .json({ error: "Start date must be a real date as YYYY-MM-DD" });
+  }
+  try {
+    const details = await nurseDetailsFromBody(req.body, null);
+    if (details.error) {
+      return res.status(details.error[0]).json({ error: details.error[1] });
+    }
+    const columns = Object.keys(details.columns);
+    const id = await withTransaction(async (client) => {
+      // Use 'RETURNING' to get the new ID from PostgreSQL
+      const result = await client.query(
+        `INSERT INTO Nurses (full_name, group_id, start_date${columns
+          .map((c) => `, ${c}`)
+          .join("")})
+         VALUES ($1, $2, $3${columns.map((c, i) => `, $${i + 4}`).join("")})
+         RETURNING nurse_id`,
+        [name, group, startDate, ...Object.values(details.columns)]
+      );
+      const nurseId = result.rows[0].nurse_id;
+      await client.query(
+        "INSERT INTO Nurse_Groups (nurse_id, group_id, start_date) VALUES ($1, $2, $3)",
+        [nurseId, group, startDate]
+      );
+      await saveNurseLists(client, nurseId, details);
+      publish("nurses", {
+        action: "create",
+        nurseId,
+        by: auditActor(req).user,
+      });
+      return nurseId;
+    });
+    res.status(201).json({ id, name, group, startDate });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Updates the name and record fields that are in the body. The group has
+// its own endpoint below because it is kept as a history.
+app.put("/api/nurses/:id", requireRole("admin"), async (req, res) => {
+  const { name, group } = req.body;
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return res.status(400).json({ error: "Name cannot be empty" });
+  }
+  try {
+    const details = await nurseDetailsFromBody(req.body, req.params.id);
+    if (details.error) {
+      return res.status(details.error[0]).json({ error: details.error[1] });
+    }
+    if (name !== undefined) details.columns.full_name = name.trim();
+
+    const error = await withTransaction(async (client) => {
+      const { nurse } = await lockNurse(client, req.params.id);
+      if (!nurse) return [404, "Nurse not found"];
+      if (group !== undefined && Number(group) !== nurse.group_id) {
+        return [
+          400,
+          `Change the group with POST /api/nurses/${nurse.nurse_id}/group`,
+        ];
+      }
+      const columns = Object.keys(details.columns);
+      if (columns.length > 0) {
+        await client.query(
+          `UPDATE Nurses SET ${columns
+            .map((c, i) => `${c} = $${i + 1}`)
+            .join(", ")}
+           WHERE nurse_id = $${columns.length + 1}`,
+          [...Object.values(details.columns), nurse.nurse_id]
+        );
+      }
+      await saveNurseLists(client, nurse.nurse_id, details);
+      await auditNurse(
+        client,
+        nurse,
+        "update",
+        "Updated the nurse record",
+        auditActor(req)
+      );
+      return null;
+    });
+    if (error) return res.status(error[0]).json({ error: error[1] });
+    const [nurse] = await withNurseLists(
+      await dbAllAsync("SELECT * FROM Nurses WHERE nurse_id = $1", [
+        req.params.id,
+      ])
+    );
+    res.json(nurse);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Writes a nurse-level entry (archive, reactivate, group move) to the audit
+// and lets open trackers know the nurse list changed
+async function auditNurse(client, nurse, action, details, actor) {
+  await client.query(
+    `INSERT INTO Roster_Audit
+        (roster, action, nurse_id, nurse_name, details, changed_by, client)
+     VALUES ('nurse', $1, $2, $3, $4, $5, $6)`,
+    [action, nurse.nurse_id, nurse.full_name, details, actor.user, actor.client]
+  );
+  publish("nurses", { action, nurseId: nurse.nurse_id, by: actor.user });
+}
+
+// Loads a nurse and their open-ended group membership inside a transaction
+async function lockNurse(client, id) {
+  const nurse = await client.query(
+    "SELECT * FROM Nurses WHERE nurse_id = $1 FOR UPDATE",
+    [id]
+  );
+  const membership = await client.query(
+    "SELECT * FROM Nurse_Groups WHERE nurse_id = $1 AND end_date IS NULL",
+    [id]
+  );
+  return { nurse: nurse.rows[0], membership: membership.rows[0] };
+}
+
+// Nurses are archived rather than deleted, so their past rosters (and the
+// reports built from them) stay as they were. The last day worked defaults
+// to today.
+app.delete("/api/nurses/:id", requireRole("admin"), async (req, res) => {
+  const endDate =
+    (req.body && req.body.endDate) || req.query.endDate || today();
+  if (!isValidDate(endDate)) {
+    return res
+      .status(400)
+      .json({ error: "End date must be a real date as YYYY-MM-DD" });
+  }
+  try {
+    const error = await withTransaction(async (client) => {
+      const { nurse, membership } = await lockNurse(client, req.params.id);
+      if (!nurse) return [404, "Nurse not found"];
+      if (!nurse.active || !membership) {
+        return [409, "Nurse is already archived"];
+      }
+      if (membership.start_date && membership.start_date > endDate) {
+        return [
+          400,
+          `End date is before the nurse joined group ${membership.group_id} on ${membership.start_date}`,
+        ];
+      }
+      await client.query(
+        "UPDATE Nurse_Groups SET end_date = $1 WHERE membership_id = $2",
+        [endDate, membership.membership_id]
+      );
+      await client.query(
+        "UPDATE Nurses SET active = FALSE, end_date = $1 WHERE nurse_id = $2",
+        [endDate, nurse.nurse_id]
+      );
+      await auditNurse(
+        client,
+        nurse,
+        "archive",
+        `Archived from group ${nurse.group_id}; last day ${endDate}`,
+        auditActor(req)
+      );
+      return null;
+    });
+    if (error) return res.status(error[0]).json({ error: error[1] });
+    res.status(200).json({ message: "Nurse archived", endDate });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Re-employs an archived nurse in their last group from `startDate`
+// (default today); the gap since they left stays outside their employment
+app.post(
+  "/api/nurses/:id/reactivate",
+  requireRole("admin"),
+  async (req, res) => {
+    const startDate = req.body.startDate || today();
+    if (!isValidDate(startDate)) {
+      return res
+        .status(400)
+        .json({ error: "Start date must be a real date as YYYY-MM-DD" });
+    }
+    try {
+      const error = await withTransaction(async (client) => {
+        const { nurse } = await lockNurse(client, req.params.id);
+        if (!nurse) return [404, "Nurse not found"];
+        if (nurse.active) return [409, "Nurse is already active"];
+        if (nurse.end_date && startDate <= nurse.end_date) {
+          return [
+            400,
+            `Start date must be after the nurse left on ${nurse.end_date}`,
+          ];
+        }
+        await client.query(
+          "INSERT INTO Nurse_Groups (nurse_id, group_id, start_date) VALUES ($1, $2, $3)",
+          [nurse.nurse_id, nurse.group_id, startDate]
+        );
+        await client.query(
+          "UPDATE Nurses SET active = TRUE, end_date = NULL WHERE nurse_id = $1",
+          [nurse.nurse_id]
+        );
+        await auditNurse(
+          client,
+          nurse,
+          "reactivate",
+          `Reactivated in group ${nurse.group_id} from ${startDate}`,
+          auditActor(req)
+        );
+        return null;
+      });
+      if (error) return res.status(error[0]).json({ error: error[1] });
+      res.json({ message: "Nurse reactivated", startDate });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Moves a nurse to another group from `from` (default today). Earlier
+// days stay in the old group, so past rosters and reports keep it.
+app.post("/api/nurses/:id/group", requireRole("admin"), async (req, res) => {
+  const group = Number(req.body.group);
+  const from = req.body.from || today();
+  if (!Number.isInteger(group) || group < 1) {
+    return res.status(400).json({ error: "Group must be a positive number" });
+  }
+  if (!isValidDate(from)) {
+    return res
+      .status(400)
+      .json({ error: "From must be a real date as YYYY-MM-DD" });
+  }
+  try {
+    const error = await withTransaction(async (client) => {
+      const { nurse, membership } = await lockNurse(client, req.params.id);
+      if (!nurse) return [404, "Nurse not found"];
+      if (!nurse.active || !membership) {
+        return [409, "Archived nurses cannot change group"];
+      }
+      if (membership.group_id === group) {
+        return [400, `The nurse is already in group ${group}`];
+      }
+      if (membership.start_date && from < membership.start_date) {
+        return [
+          400,
+          `From must be on or after ${membership.start_date}, when the current group began`,
+        ];
+      }
+      if (membership.start_date === from) {
+        // Same start day: the earlier group never really applied
+        await client.query(
+          "UPDATE Nurse_Groups SET group_id = $1 WHERE membership_id = $2",
+          [group, membership.membership_id]
+        );
+      } else {
+        await client.query(
+          "UPDATE Nurse_Groups SET end_date = $1 WHERE membership_id = $2",
+          [addDays(from, -1), membership.membership_id]
+        );
+        await client.query(
+          "INSERT INTO Nurse_Groups (nurse_id, group_id, start_date) VALUES ($1, $2, $3)",
+          [nurse.nurse_id, group, from]
+        );
+      }
+      await client.query(
+        "UPDATE Nurses SET group_id = $1 WHERE nurse_id = $2",
+        [group, nurse.nurse_id]
+      );
+      await auditNurse(
+        client,
+        nurse,
+        "group",
+        `Moved from group ${membership.group_id} to ${group} from ${from}`,
+        auditActor(req)
+      );
+      return null;
+    });
+    if (error) return res.status(error[0]).json({ error: error[1] });
+    res.json({ message: "Group changed", group, from });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/nurses/:id/groups", requireRole("viewer"), async (req, res) => {
+  try {
+    const rows = await dbAllAsync(
+      `SELECT group_id, start_date, end_date FROM Nurse_Groups
+       WHERE nurse_id = $1 ORDER BY membership_id`,
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Planned vs actual history for one nurse over a date range (default: the
+// current month), with totals per shift category, nights worked, leave
+// taken and the same deviation rate as the actual report.
+app.get("/api/nurses/:id/summary", requireRole("viewer"), async (req, res) => {
+  const [year, month] = today().split("-").map(Number);
+  const from =
+    req.query.from ||
+    new Date(Date.UTC(year, month - 1, 1)).toISOString().slice(0, 10);
+  const to =
+    req.query.to ||
+    new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+  if (!isValidDate(from) || !isValidDate(to) || to < from) {
+    return res
+      .status(400)
+      .json({ error: "from and to must be YYYY-MM-DD, from before to" });
+  }
+  if (dayCount(from, to) > 366) {
+    return res.status(400).json({ error: "The range can be at most a year" });
+  }
+  const dates = dateRange(from, to);
+  try {
+    const nurses = await dbAllAsync(
+      "SELECT * FROM Nurses WHERE nurse_id = $1",
+      [req.params.id]
+    );
+    if (nurses.length === 0) {
+      return res.status(404).json({ error: "Nurse not found" });
+    }
+    const shiftCodes = await getShiftCodeMap();
+    const cells = {};
+    dates.forEach(
+      (date) => (cells[date] = { date, planned: null, actual: null })
+    );
+    for (const kind of ["planned", "actual"]) {
+      const rows = await dbAllAsync(
+        `SELECT date, shift_code, ward FROM ${ROSTER_TABLES[kind]}
+         WHERE nurse_id = $1 AND date >= $2 AND date <= $3 AND shift_code IS NOT NULL`,
+        [req.params.id, from, to]
+      );
+      rows.forEach(
+        (r) => (cells[r.date][kind] = { shift: r.shift_code, ward: r.ward })
+      );
+    }
+
+    const emptyTotals = () =>
+      Object.fromEntries([...SHIFT_CATEGORIES, "unknown"].map((c) => [c, 0]));
+    const totals = { planned: emptyTotals(), actual: emptyTotals() };
+    const leaveTaken = {};
+    let nightsWorked = 0;
+    let plannedShifts = 0;
+    let deviations = 0;
+    Object.values(cells).forEach(({ planned, actual }) => {
+      const plannedCode = planned && shiftCodes[planned.shift];
+      const actualCode = actual && shiftCodes[actual.shift];
+      if (planned)
+        totals.planned[plannedCode ? plannedCode.category : "unknown"]++;
+      if (actual) totals.actual[actualCode ? actualCode.category : "unknown"]++;
+      if (isNightShift(actualCode)) nightsWorked++;
+      if (actualCode && actualCode.category === "leave") {
+        leaveTaken[actual.shift] = (leaveTaken[actual.shift] || 0) + 1;
+      }
+      const plannedWork = !!plannedCode && plannedCode.category === "work";
+      if (plannedWork) plannedShifts++;
+      if (plannedWork && actualCode && actualCode.category !== "work") {
+        deviations++;
+      }
+    });
+
+    res.json({
+      nurse: nurses[0],
+      from,
+      to,
+      days: Object.values(cells),
+      totals,
+      nightsWorked,
+      leaveTaken,
+      plannedShifts,
+      deviations,
+      deviationRate:
+        plannedShifts > 0
+          ? Number(((deviations / plannedShifts) * 100).toFixed(1))
+          : 0,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (B) Roster Data API ---
+
+app.get("/api/roster-status", requireRole("viewer"), async (req, res) => {
+  const range = monthRange(req.query.month);
+  if (!range) {
+    return res
+      .status(400)
+      .json({ error: "Month query parameter (YYYY-MM) is required" });
+  }
+  try {
+    const plannedSql =
+      "SELECT DISTINCT date FROM Roster_Planned WHERE date >= $1 AND date < $2";
+    const actualSql =
+      "SELECT DISTINCT date FROM Roster_Actual WHERE date >= $1 AND date < $2";
+
+    const plannedDays = await dbAllAsync(plannedSql, [range.from, range.to]);
+    const actualDays = await dbAllAsync(actualSql, [range.from, range.to]);
+
+    const status = {};
+    plannedDays.forEach((row) => {
+      if (row.date && !status[row.date]) status[row.date] = {};
+      if (row.date) status[row.date].planned = true;
+    });
+    actualDays.forEach((row) => {
+      if (row.date && !status[row.date]) status[row.date] = {};
+      if (row.date) status[row.date].actual = true;
+    });
+
+    res.json(status);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/roster", requireRole("viewer"), async (req, res) => {
+  const { date } = req.query;
+  if (!date) {
+    return res.status(400).json({ error: "Date query parameter is required" });
+  }
+  // Only nurses employed on the day, in the group they were in then
+  const sql = `
+        SELECT 
+            n.nurse_id, n.full_name, g.group_id,
+            p.shift_code as planned_shift,
+            p.ward as planned_ward,
+            p.version as planned_version,
+            a.shift_code as actual_shift,
+            a.ward as actual_ward,
+            a.version as actual_version
+        FROM 
+            Nurses n
+        JOIN
+            Nurse_Groups g ON g.nurse_id = n.nurse_id
+            AND (g.start_date IS NULL OR g.start_date <= $1)
+            AND (g.end_date IS NULL OR g.end_date >= $1)
+        LEFT JOIN 
+            Roster_Planned p ON n.nurse_id = p.nurse_id AND p.date = $1
+        LEFT JOIN 
+            Roster_Actual a ON n.nurse_id = a.nurse_id AND a.date = $2
+        ORDER BY
+            g.group_id, n.full_name;
+    `;
+  try {
+    const rows = await dbAllAsync(sql, [date, date]);
+    // Credentialed wards, so the roster modal can flag other wards
+    const credentials = await getWardCredentials();
+    res.json(
+      rows.map((row) => ({ ...row, wards: credentials[row.nurse_id] || [] }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Checks every entry of a roster payload before anything is written.
+// Returns one error per bad field as { index, nurseId, date, field, error };
+// wards are resolved to their codes in place by resolveWards.
+async function validateRosterEntries(entries) {
+  const shiftCodes = await getShiftCodeMap();
+  const nurses = await dbAllAsync("SELECT nurse_id FROM Nurses");
+  const nurseIds = new Set(nurses.map((n) => n.nurse_id));
+  const memberships = await dbAllAsync(
+    "SELECT nurse_id, start_date, end_date FROM Nurse_Groups"
+  );
+  const periods = {};
+  memberships.forEach((m) =>
+    (periods[m.nurse_id] = periods[m.nurse_id] || []).push({
+      from: m.start_date,
+      to: m.end_date,
+    })
+  );
+
+  const errors = [];
+  entries.forEach((e, index) => {
+    const fail = (field, error) =>
+      errors.push({
+        index,
+        nurseId: e.nurseId === undefined ? null : e.nurseId,
+        date: e.date === undefined ? null : e.date,
+        field,
+        error,
+      });
+    if (!nurseIds.has(Number(e.nurseId))) fail("nurseId", "Unknown nurse");
+    if (!isValidDate(e.date)) {
+      fail("date", "Date must be a real date as YYYY-MM-DD");
+    } else if (
+      nurseIds.has(Number(e.nurseId)) &&
+      !isEmployedOn({ periods: periods[e.nurseId] || [] }, e.date)
+    ) {
+      fail("date", "The nurse was not employed on this date");
+    }
+    if (e.shift !== undefined && e.shift !== null && e.shift !== "") {
+      if (typeof e.shift !== "string" || !shiftCodes[e.shift]) {
+        fail("shift", `Unknown shift code: ${e.shift}`);
+      }
+    }
+    if (
+      e.version !== undefined &&
+      e.version !== null &&
+      !(Number.isInteger(e.version) && e.version >= 0)
+    ) {
+      fail("version", "Version must be a whole number of 0 or more");
+    }
+  });
+  (await resolveWards(entries)).forEach((w) =>
+    errors.push({
+      index: w.index,
+      nurseId: w.nurseId,
+      date: entries[w.index].date,
+      field: "ward",
+      error: `${w.error}: ${w.ward}`,
+    })
+  );
+  return errors.sort((a, b) => a.index - b.index);
+}
+
+// Turns the request's roster array into entries, taking the date from
+// `date` when given (single-day saves) or from each entry otherwise
+function toRosterEntries(roster, date) {
+  return roster.map((entry) => ({
+    nurseId: entry && entry.nurseId,
+    date: date || (entry && entry.date),
+    shift: entry && entry.shift,
+    ward: entry && entry.ward,
+    version: entry && entry.version,
+  }));
+}
+
+// Entries may carry the `version` of the row the client loaded (0 when
+// there was no row). Returns the ones whose row has since been saved by
+// someone else with a different value, locking the rows until commit.
+// Entries without a version are last-write-wins, as before.
+async function findVersionConflicts(client, kind, entries) {
+  const table = ROSTER_TABLES[kind];
+  const checked = entries.filter(
+    (e) => e.version !== undefined && e.version !== null
+  );
+  if (checked.length === 0) return [];
+  const rows = await client.query(
+    `SELECT nurse_id, date, shift_code, ward, version FROM ${table}
+     WHERE nurse_id = ANY($1::integer[]) AND date = ANY($2::date[])
+     FOR UPDATE`,
+    [
+      [...new Set(checked.map((e) => Number(e.nurseId)))],
+      [...new Set(checked.map((e) => e.date))],
+    ]
+  );
+  const stored = new Map();
+  rows.rows.forEach((r) => stored.set(`${r.nurse_id}|${r.date}`, r));
+
+  const conflicts = [];
+  for (const e of checked) {
+    const row = stored.get(`${e.nurseId}|${e.date}`);
+    const version = row ? Number(row.version) : 0;
+    if (version === e.version) continue;
+    const shift = row ? row.shift_code || null : null;
+    const ward = row ? row.ward || null : null;
+    // Someone else got there first with the same value: nothing to lose
+    if (
+      shift === (e.shift || null) &&
+      (e.ward === undefined || ward === (e.ward || null))
+    ) {
+      continue;
+    }
+    const last = await client.query(
+      `SELECT changed_by, changed_at FROM Roster_Audit
+       WHERE roster = $1 AND nurse_id = $2 AND date = $3
+       ORDER BY audit_id DESC LIMIT 1`,
+      [kind, Number(e.nurseId), e.date]
+    );
+    conflicts.push({
+      nurseId: Number(e.nurseId),
+      date: e.date,
+      yourShift: e.shift || null,
+      yourWard: e.ward === undefined ? ward : e.ward || null,
+      currentShift: shift,
+      currentWard: ward,
+      version,
+      changedBy: last.rows[0] ? last.rows[0].changed_by : null,
+      changedAt: last.rows[0] ? last.rows[0].changed_at : null,
+    });
+  }
+  return conflicts;
+}
+
+// Every roster writer runs its entries through validateRosterEntries
+// first. Sends the 400 with one error per bad entry and returns true when
+// something is wrong.
+async function rejectInvalidEntries(res, entries) {
+  const errors = await validateRosterEntries(entries);
+  if (errors.length === 0) return false;
+  res
+    .status(400)
+    .json({ error: "Roster contains invalid entries", details: errors });
+  return true;
+}
+
+// Checks entries against the roster rules, as every writer does before
+// saving. Returns the soft warnings, or null after sending the 422 when a
+// hard rule is broken.
+async function checkRosterRules(res, kind, entries) {
+  const violations = await validateRoster(kind, entries);
+  const hard = violations.filter((v) => v.severity === "hard");
+  const warnings = violations.filter((v) => v.severity !== "hard");
+  if (hard.length > 0) {
+    res.status(422).json({
+      error: "Roster breaks one or more rules",
+      violations: hard,
+      warnings,
+    });
+    return null;
+  }
+  return warnings;
+}
+
+// The shared write path: validates the entries, checks the roster rules
+// and writes everything in one transaction, so a bad entry never leaves a
+// half-saved day and a row someone else changed meanwhile is not
+// overwritten. Sends the 400/422/409 and returns null when refused;
+// otherwise returns { changes, warnings }.
+async function writeRosterEntries(req, res, kind, entries) {
+  if (await rejectInvalidEntries(res, entries)) return null;
+  const warnings = await checkRosterRules(res, kind, entries);
+  if (!warnings) return null;
+  const save = () =>
+    withTransaction(async (client) => {
+      const conflicts = await findVersionConflicts(client, kind, entries);
+      if (conflicts.length > 0) return { conflicts };
+      return {
+        changes: await saveRosterEntries(
+          client,
+          kind,
+          entries,
+          auditActor(req)
+        ),
+      };
+    });
+  let outcome;
+  try {
+    outcome = await save();
+  } catch (err) {
+    if (err.code !== "ROSTER_ROW_TAKEN") throw err;
+    // A concurrent save created a row this one expected to create. The
+    // row exists now, so a second attempt compares it like any other.
+    outcome = await save();
+  }
+  if (outcome.conflicts) {
+    res.status(409).json({
+      error: "Someone else changed this roster while you were editing it",
+      conflicts: outcome.conflicts,
+    });
+    return null;
+  }
+  return { changes: outcome.changes, warnings };
+}
+
+async function saveRosterPayload(req, res, kind, entries) {
+  const outcome = await writeRosterEntries(req, res, kind, entries);
+  if (!outcome) return;
+  const { warnings } = outcome;
+  res.status(200).json({
+    message: `${kind === "planned" ? "Planned" : "Actual"} roster updated`,
+    changed: outcome.changes.length,
+    versions: outcome.changes.map((c) => ({
+      nurseId: c.nurseId,
+      date: c.date,
+      version: c.version,
+    })),
+    warnings,
+  });
+}
+
+// Single day: { date, roster: [{ nurseId, shift, ward }] }
+app.post("/api/roster-planned", requireRole("manager"), async (req, res) => {
+  const { date, roster } = req.body;
+  if (!date || !Array.isArray(roster)) {
+    return res.status(400).json({ error: "Missing date or roster data" });
+  }
+  try {
+    await saveRosterPayload(req, res, "planned", toRosterEntries(roster, date));
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to update planned roster", details: err.message });
+  }
+});
+
+app.post("/api/roster-actual", requireRole("manager"), async (req, res) => {
+  const { date, roster } = req.body;
+  if (!date || !Array.isArray(roster)) {
+    return res.status(400).json({ error: "Missing date or roster data" });
+  }
+  try {
+    await saveRosterPayload(req, res, "actual", toRosterEntries(roster, date));
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to update actual roster", details: err.message });
+  }
+});
+
+const MAX_MONTH_ENTRIES = 20000;
+
+// Whole month in one request: { month, roster: [{ nurseId, date, shift,
+// ward }] }. Every date must fall inside the month.
+function handleMonthSave(kind) {
+  return async (req, res) => {
+    const { month, roster } = req.body;
+    const range = monthRange(month);
+    if (!range || !Array.isArray(roster)) {
+      return res
+        .status(400)
+        .json({ error: "Month (YYYY-MM) and a roster array are required" });
+    }
+    if (roster.length > MAX_MONTH_ENTRIES) {
+      return res.status(400).json({
+        error: `A month save can hold at most ${MAX_MONTH_ENTRIES} entries`,
+      });
+    }
+    const entries = toRosterEntries(roster);
+    const outside = [];
+    entries.forEach((e, index) => {
+      if (isValidDate(e.date) && (e.date < range.from || e.date >= range.to)) {
+        outside.push({
+          index,
+          nurseId: e.nurseId,
+          date: e.date,
+          field: "date",
+          error: `Date is not in ${month}`,
+        });
+      }
+    });
+    if (outside.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Roster contains invalid entries", details: outside });
+    }
+    try {
+      await saveRosterPayload(req, res, kind, entries);
+    } catch (err) {
+      res.status(500).json({
+        error: `Failed to update ${kind} roster`,
+        details: err.message,
+      });
+    }
+  };
+}
+app.post(
+  "/api/roster-planned/month",
+  requireRole("manager"),
+  handleMonthSave("planned")
+);
+app.post(
+  "/api/roster-actual/month",
+  requireRole("manager"),
+  handleMonthSave("actual")
+);
+
+// --- (C) Report Generation API ---
+app.get("/api/report-actual", requireRole("viewer"), async (req, res) => {
+  const { month } = req.query;
+  if (!monthRange(month)) {
+    return res
+      .status(400)
+      .json({ error: "Month query parameter (YYYY-MM) is required" });
+  }
+  try {
+    const shiftCodes = await getShiftCodeMap();
+    const { nurses, dataMap, daysInMonth } = await buildMonthData(month);
+
+    const workbook = new Excel.Workbook();
+    const worksheet = workbook.addWorksheet(`${month} Actual Report`);
+    const columns = [{ header: "Staff Name", key: "name", width: 30 }];
+    for (let i = 1; i <= daysInMonth; i++) {
+      columns.push({ header: i.toString(), key: `day${i}`, width: 5 });
+    }
+    columns.push({ header: "Deviation %", key: "deviation", width: 15 });
+
+    // Remaining leave for the report's year, one column per tracked code
+    const balances = await getLeaveBalances(month.slice(0, 4));
+    const balanceCodes = [...new Set(balances.map((b) => b.leaveCode))].sort();
+    const remaining = {};
+    balances.forEach(
+      (b) => (remaining[`${b.nurseId}|${b.leaveCode}`] = b.remaining)
+    );
+    balanceCodes.forEach((code) =>
+      columns.push({ header: `${code} Left`, key: `left_${code}`, width: 10 })
+    );
+    worksheet.columns = columns;
+
+    let currentGroup = 0;
+    for (const nurse of nurses) {
+      if (nurse.group_id !== currentGroup && currentGroup !== 0) {
+        worksheet.addRow({});
+      }
+      currentGroup = nurse.group_id;
+      let totalDeviations = 0;
+      let totalPlannedShifts = 0;
+      const rowData = { name: nurse.full_name };
+
+      for (let day = 1; day <= daysInMonth; day++) {
+        const shift = dataMap[nurse.nurse_id].shifts[day];
+        if (shift) {
+          const displayCode = shift.actual || shift.planned || "";
+          rowData[`day${day}`] = displayCode;
+
+          const plannedCode = shiftCodes[shift.planned];
+          const actualCode = shiftCodes[shift.actual];
+          const plannedWork = !!plannedCode && plannedCode.category === "work";
+          const actualLeave = !!actualCode && actualCode.category !== "work";
+
+          if (plannedWork) totalPlannedShifts++;
+          if (plannedWork && actualLeave) {
+            totalDeviations++;
+          }
+        } else {
+          rowData[`day${day}`] = "";
+        }
+      }
+
+      const deviationPercent =
+        totalPlannedShifts > 0
+          ? (totalDeviations / totalPlannedShifts) * 100
+          : 0;
+      rowData["deviation"] = `${deviationPercent.toFixed(1)}%`;
+      balanceCodes.forEach((code) => {
+        const left = remaining[`${nurse.nurse_id}|${code}`];
+        rowData[`left_${code}`] = left === undefined ? "" : left;
+      });
+      const row = worksheet.addRow(rowData);
+
+      row.eachCell((cell, colNumber) => {
+        if (colNumber > 1 && colNumber <= daysInMonth + 1) {
+          fillShiftCell(cell, shiftCodes);
+        }
+      });
+      row.getCell("deviation").font = { bold: true };
+    }
+    const range = monthRange(month);
+    shadeHolidayColumns(worksheet, await getHolidays(range.from, range.to));
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="ActualRoster_${month}.xlsx"`
+    );
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error("Failed to generate ACTUAL report:", err);
+    res.status(500).json({
+      error: "Failed to generate actual report",
+      details: err.message,
+    });
+  }
+});
+
+// Adds one month-grid sheet; `pick` chooses what to show for each day
+function addRosterSheet(
+  workbook,
+  name,
+  nurses,
+  dataMap,
+  daysInMonth,
+  pick,
+  dayWidth = 5
+) {
+  const worksheet = workbook.addWorksheet(name);
+  const columns = [{ header: "Staff Name", key: "name", width: 30 }];
+  for (let i = 1; i <= daysInMonth; i++) {
+    columns.push({ header: i.toString(), key: `day${i}`, width: dayWidth });
+  }
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+
+  const rows = [];
+  let currentGroup = 0;
+  for (const nurse of nurses) {
+    if (nurse.group_id !== currentGroup && currentGroup !== 0) {
+      worksheet.addRow({});
+    }
+    currentGroup = nurse.group_id;
+    const rowData = { name: nurse.full_name };
+    for (let day = 1; day <= daysInMonth; day++) {
+      rowData[`day${day}`] = pick(dataMap[nurse.nurse_id].shifts[day]);
+    }
+    rows.push({ nurse, row: worksheet.addRow(rowData) });
+  }
+  return rows;
+}
+
+app.get("/api/report-comparison", requireRole("viewer"), async (req, res) => {
+  const { month } = req.query;
+  if (!monthRange(month)) {
+    return res
+      .status(400)
+      .json({ error: "Month query parameter (YYYY-MM) is required" });
+  }
+  try {
+    const shiftCodes = await getShiftCodeMap();
+    const { nurses, dataMap, daysInMonth } = await buildMonthData(month);
+    const range = monthRange(month);
+    const holidays = await getHolidays(range.from, range.to);
+    const workbook = new Excel.Workbook();
+
+    // Planned and Actual sheets show the raw codes, coloured like the report
+    for (const kind of ["planned", "actual"]) {
+      const title = kind === "planned" ? "Planned" : "Actual";
+      const rows = addRosterSheet(
+        workbook,
+        title,
+        nurses,
+        dataMap,
+        daysInMonth,
+        (shift) => shift[kind] || ""
+      );
+      rows.forEach(({ row }) =>
+        row.eachCell((cell, colNumber) => {
+          if (colNumber > 1) fillShiftCell(cell, shiftCodes);
+        })
+      );
+      shadeHolidayColumns(workbook.getWorksheet(title), holidays);
+    }
+
+    // Diff sheet shows "planned→actual" wherever the two codes differ
+    const isDiff = (shift) =>
+      !!shift.actual && !!shift.planned && shift.actual !== shift.planned;
+    const isUnplanned = (shift) => !!shift.actual && !shift.planned;
+    const diffRows = addRosterSheet(
+      workbook,
+      "Diff",
+      nurses,
+      dataMap,
+      daysInMonth,
+      (shift) => {
+        if (isDiff(shift)) return `${shift.planned}→${shift.actual}`;
+        if (isUnplanned(shift)) return `→${shift.actual}`;
+        return shift.actual || shift.planned || "";
+      },
+      8
+    );
+    diffRows.forEach(({ nurse, row }) => {
+      for (let day = 1; day <= daysInMonth; day++) {
+        const shift = dataMap[nurse.nurse_id].shifts[day];
+        if (isDiff(shift) || isUnplanned(shift)) {
+          const cell = row.getCell(`day${day}`);
+          cell.fill = {
+            type: "pattern",
+            pattern: "solid",
+            fgColor: { argb: "FFFFC7CE" },
+          };
+          cell.font = { bold: true, color: { argb: "FF9C0006" } };
+        }
+      }
+    });
+    shadeHolidayColumns(workbook.getWorksheet("Diff"), holidays);
+
+    // Summary sheet: per-nurse totals, a subtotal per group and a grand total
+    const nonWorkCodes = Object.values(shiftCodes)
+      .filter((c) => c.category !== "work")
+      .sort((a, b) => a.sort_order - b.sort_order);
+    const summary = workbook.addWorksheet("Summary");
+    summary.columns = [
+      { header: "Staff Name", key: "name", width: 30 },
+      { header: "Group", key: "group", width: 8 },
+      { header: "Planned Shifts", key: "plannedWork", width: 15 },
+      { header: "Worked Shifts", key: "worked", width: 15 },
+      ...nonWorkCodes.map((c) => ({
+        header: c.code,
+        key: `code_${c.code}`,
+        width: 6,
+      })),
+      { header: "Nights", key: "nights", width: 8 },
+      { header: "Deviations", key: "deviations", width: 12 },
+    ];
+    summary.getRow(1).font = { bold: true };
+
+    const emptyTotals = () => {
+      const totals = { plannedWork: 0, worked: 0, nights: 0, deviations: 0 };
+      nonWorkCodes.forEach((c) => (totals[`code_${c.code}`] = 0));
+      return totals;
+    };
+    const addTotals = (target, source) => {
+      Object.keys(source).forEach((key) => (target[key] += source[key]));
+    };
+    const addTotalRow = (label, totals) => {
+      const row = summary.addRow({ name: label, ...totals });
+      row.font = { bold: true };
+      row.eachCell((cell) => {
+        cell.fill = {
+          type: "pattern",
+          pattern: "solid",
+          fgColor: { argb: "FFD9E1F2" },
+        };
+      });
+    };
+
+    const grandTotals = emptyTotals();
+    let groupTotals = null;
+    let currentGroup = 0;
+    for (const nurse of nurses) {
+      if (nurse.group_id !== currentGroup) {
+        if (groupTotals)
+          addTotalRow(`Group ${currentGroup} Total`, groupTotals);
+        groupTotals = emptyTotals();
+        currentGroup = nurse.group_id;
+      }
+      const totals = emptyTotals();
+      for (let day = 1; day <= daysInMonth; day++) {
+        const shift = dataMap[nurse.nurse_id].shifts[day];
+        const plannedCode = shiftCodes[shift.planned];
+        const actualCode = shiftCodes[shift.actual];
+        if (plannedCode && plannedCode.category === "work") {
+          totals.plannedWork++;
+        }
+        if (actualCode && actualCode.category === "work") totals.worked++;
+        if (actualCode && actualCode.category !== "work") {
+          totals[`code_${actualCode.code}`]++;
+        }
+        if (isNightShift(actualCode)) totals.nights++;
+        if (isDiff(shift) || isUnplanned(shift)) totals.deviations++;
+      }
+      summary.addRow({
+        name: nurse.full_name,
+        group: nurse.group_id,
+        ...totals,
+      });
+      addTotals(groupTotals, totals);
+      addTotals(grandTotals, totals);
+    }
+    if (groupTotals) addTotalRow(`Group ${currentGroup} Total`, groupTotals);
+    addTotalRow("Grand Total", grandTotals);
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="ComparisonRoster_${month}.xlsx"`
+    );
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error("Failed to generate COMPARISON report:", err);
+    res.status(500).json({
+      error: "Failed to generate comparison report",
+      details: err.message,
+    });
+  }
+});
+
+// --- (D) Shift Code Catalog API ---
+
+app.get("/api/shift-codes", requireRole("viewer"), async (req, res) => {
+  try {
+    const codes = await dbAllAsync(
+      "SELECT * FROM Shift_Codes ORDER BY sort_order, code"
+    );
+    res.json(codes);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/shift-codes", requireRole("admin"), async (req, res) => {
+  const {
+    code,
+    label,
+    category,
+    startTime,
+    endTime,
+    color,
+    requiresWard,
+    paid,
+  } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: "Code is required" });
+  }
+  const validationError = validateShiftCode(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    const existing = await dbAllAsync(
+      "SELECT code FROM Shift_Codes WHERE code = $1",
+      [code]
+    );
+    if (existing.length > 0) {
+      return res
+        .status(409)
+        .json({ error: `Shift code ${code} already exists` });
+    }
+    const sql = `
+        INSERT INTO Shift_Codes
+            (code, label, category, start_time, end_time, color, requires_ward,
+             paid, sort_order)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+            (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM Shift_Codes))
+        RETURNING *
+    `;
+    const result = await db.query(sql, [
+      code,
+      label,
+      category,
+      startTime || null,
+      endTime || null,
+      color || null,
+      !!requiresWard,
+      paid !== false,
+    ]);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put("/api/shift-codes/:code", requireRole("admin"), async (req, res) => {
+  const { label, category, startTime, endTime, color, requiresWard, paid } =
+    req.body;
+  const validationError = validateShiftCode(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    // "paid" is optional here so older clients do not reset it
+    const sql = `
+        UPDATE Shift_Codes SET
+            label = $1, category = $2, start_time = $3, end_time = $4,
+            color = $5, requires_ward = $6, paid = COALESCE($7, paid)
+        WHERE code = $8
+        RETURNING *
+    `;
+    const result = await db.query(sql, [
+      label,
+      category,
+      startTime || null,
+      endTime || null,
+      color || null,
+      !!requiresWard,
+      paid === undefined ? null : !!paid,
+      req.params.code,
+    ]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Shift code not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/shift-codes/:code", requireRole("admin"), async (req, res) => {
+  const { code } = req.params;
+  try {
+    // Codes are stored as plain text in the rosters, so refuse to orphan them
+    const usage = await dbAllAsync(
+      `SELECT 1 FROM Roster_Planned WHERE shift_code = $1
+       UNION ALL
+       SELECT 1 FROM Roster_Actual WHERE shift_code = $1
+       LIMIT 1`,
+      [code]
+    );
+    if (usage.length > 0) {
+      return res.status(409).json({
+        error: `Shift code ${code} is used in rosters and cannot be deleted`,
+      });
+    }
+    await dbRunAsync("DELETE FROM Shift_Codes WHERE code = $1", [code]);
+    res.status(200).json({ message: "Shift code deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (E) Roster Import API ---
+
+// Reads the first worksheet of an uploaded .xlsx or .csv file
+async function readUploadedSheet(buffer, format) {
+  const workbook = new Excel.Workbook();
+  if (format === "csv") {
+    await workbook.csv.read(Readable.from([buffer.toString("utf8")]));
+  } else {
+    await workbook.xlsx.load(buffer);
+  }
+  return workbook.worksheets[0];
+}
+
+// Parses a month grid laid out like the report export: a header row with
+// day numbers, then one row per nurse with the name followed by shift codes.
+function parseRosterSheet(worksheet, daysInMonth) {
+  const cellText = (cell) => String(cell.text || "").trim();
+  let dayColumns = null;
+  let nameColumn = 1;
+  const rows = [];
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (!dayColumns) {
+      const found = {};
+      row.eachCell((cell, colNumber) => {
+        const text = cellText(cell);
+        if (/^\d{1,2}$/.test(text)) found[colNumber] = parseInt(text, 10);
+      });
+      if (Object.values(found).includes(1)) {
+        dayColumns = found;
+        const firstDayCol = Math.min(...Object.keys(found).map(Number));
+        nameColumn = firstDayCol > 1 ? firstDayCol - 1 : 1;
+      }
+      return;
+    }
+    const name = cellText(row.getCell(nameColumn));
+    if (!name) return; // Blank spacer rows between groups
+    const cells = [];
+    Object.entries(dayColumns).forEach(([col, day]) => {
+      const value = cellText(row.getCell(Number(col))).toUpperCase();
+      if (value && day >= 1 && day <= daysInMonth) cells.push({ day, value });
+    });
+    rows.push({ rowNumber, name, cells });
+  });
+
+  return { dayColumns, rows };
+}
+
+app.post(
+  "/api/roster-planned/import",
+  requireRole("manager"),
+  express.raw({ type: "*/*", limit: "5mb" }),
+  async (req, res) => {
+    const { month, commit } = req.query;
+    if (!monthRange(month)) {
+      return res
+        .status(400)
+        .json({ error: "Month query parameter (YYYY-MM) is required" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Uploaded file is empty" });
+    }
+    const format = req.query.format || (req.is("text/csv") ? "csv" : "xlsx");
+    const [year, monthNum] = month.split("-").map(Number);
+    const daysInMonth = new Date(year, monthNum, 0).getDate();
+
+    let parsed;
+    try {
+      const worksheet = await readUploadedSheet(req.body, format);
+      if (!worksheet) throw new Error("The file has no worksheet");
+      parsed = parseRosterSheet(worksheet, daysInMonth);
+    } catch (err) {
+      return res.status(400).json({
+        error: "Could not read the uploaded file",
+        details: err.message,
+      });
+    }
+    if (!parsed.dayColumns) {
+      return res
+        .status(400)
+        .json({ error: "No header row with day numbers was found" });
+    }
+
+    try {
+      const shiftCodes = await getShiftCodeMap();
+      // Only nurses employed during the month can be matched, and a name
+      // shared by several of them is reported rather than guessed
+      const range = monthRange(month);
+      const nurses = await getEmployedNurses(range.from, range.to);
+      const nursesByName = {};
+      nurses.forEach((n) => {
+        const key = n.full_name.trim().toLowerCase();
+        (nursesByName[key] = nursesByName[key] || []).push(n);
+      });
+
+      const matched = [];
+      const unmatched = [];
+      const ambiguous = [];
+      const invalidCells = [];
+      const notEmployedCells = [];
+      const entries = [];
+      parsed.rows.forEach(({ rowNumber, name, cells }) => {
+        const candidates = nursesByName[name.toLowerCase()] || [];
+        if (candidates.length === 0) {
+          unmatched.push({ row: rowNumber, name });
+          return;
+        }
+        if (candidates.length > 1) {
+          ambiguous.push({ row: rowNumber, name, count: candidates.length });
+          return;
+        }
+        const nurse = candidates[0];
+        let validCells = 0;
+        cells.forEach(({ day, value }) => {
+          if (!shiftCodes[value]) {
+            invalidCells.push({ row: rowNumber, name, day, value });
+            return;
+          }
+          const date = `${month}-${String(day).padStart(2, "0")}`;
+          if (!isEmployedOn(nurse, date)) {
+            notEmployedCells.push({ row: rowNumber, name, day, value });
+            return;
+          }
+          validCells++;
+          entries.push({ nurseId: nurse.nurse_id, date, shift: value });
+        });
+        matched.push({
+          nurseId: nurse.nurse_id,
+          name: nurse.full_name,
+          cells: validCells,
+        });
+      });
+
+      const preview = {
+        month,
+        matched,
+        unmatched,
+        ambiguous,
+        invalidCells,
+        notEmployedCells,
+        entryCount: entries.length,
+      };
+      if (commit !== "true") {
+        return res.json({ ...preview, committed: false });
+      }
+
+      // Ward is not part of the sheet: keep the existing ward for work
+      // shifts and clear it for codes that don't need one.
+      const toSave = entries.map((e) => ({
+        ...e,
+        ward: shiftCodes[e.shift].requires_ward ? undefined : null,
+      }));
+      const outcome = await writeRosterEntries(req, res, "planned", toSave);
+      if (!outcome) return;
+      res.json({ ...preview, committed: true, warnings: outcome.warnings });
+    } catch (err) {
+      res.status(500).json({
+        error: "Failed to import planned roster",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// --- (F) Authentication & User API ---
+
+app.post("/api/auth/login", async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res
+      .status(400)
+      .json({ error: "Username and password are required" });
+  }
+  try {
+    const users = await dbAllAsync("SELECT * FROM Users WHERE username = $1", [
+      username,
+    ]);
+    const user = users[0];
+    if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    const payload = {
+      id: user.user_id,
+      username: user.username,
+      role: user.role,
+    };
+    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_TTL });
+    res.json({ token, user: payload });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/auth/me", requireRole("viewer"), (req, res) => {
+  const { id, username, role } = req.user;
+  res.json({ id, username, role });
+});
+
+app.get("/api/users", requireRole("admin"), async (req, res) => {
+  try {
+    const users = await dbAllAsync(
+      "SELECT user_id, username, role FROM Users ORDER BY username"
+    );
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/users", requireRole("admin"), async (req, res) => {
+  const { username, password, role } = req.body;
+  if (!username || !password) {
+    return res
+      .status(400)
+      .json({ error: "Username and password are required" });
+  }
+  if (!ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+  }
+  try {
+    const existing = await dbAllAsync(
+      "SELECT user_id FROM Users WHERE username = $1",
+      [username]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ error: "Username is already taken" });
+    }
+    const hash = await bcrypt.hash(password, 10);
+    const result = await db.query(
+      "INSERT INTO Users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING user_id",
+      [username, hash, role]
+    );
+    res.status(201).json({ id: result.rows[0].user_id, username, role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put("/api/users/:id", requireRole("admin"), async (req, res) => {
+  const { role, password } = req.body;
+  if (role && !ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+  }
+  try {
+    const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+    const error = await withTransaction(async (client) => {
+      const users = await client.query(
+        "SELECT user_id, role FROM Users WHERE user_id = $1 FOR UPDATE",
+        [req.params.id]
+      );
+      const user = users.rows[0];
+      if (!user) return [404, "User not found"];
+      // Demoting the last admin would lock everyone out of admin screens
+      if (role && role !== "admin" && user.role === "admin") {
+        const admins = await client.query(
+          "SELECT user_id FROM Users WHERE role = 'admin' FOR UPDATE"
+        );
+        if (admins.rows.length <= 1) {
+          return [409, "At least one admin account must remain"];
+        }
+      }
+      if (role) {
+        await client.query("UPDATE Users SET role = $1 WHERE user_id = $2", [
+          role,
+          user.user_id,
+        ]);
+      }
+      if (passwordHash) {
+        await client.query(
+          "UPDATE Users SET password_hash = $1 WHERE user_id = $2",
+          [passwordHash, user.user_id]
+        );
+      }
+      return null;
+    });
+    if (error) return res.status(error[0]).json({ error: error[1] });
+    res.status(200).json({ message: "User updated successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/users/:id", requireRole("admin"), async (req, res) => {
+  if (String(req.user.id) === String(req.params.id)) {
+    return res
+      .status(400)
+      .json({ error: "You cannot delete your own account" });
+  }
+  try {
+    const error = await withTransaction(async (client) => {
+      const users = await client.query(
+        "SELECT user_id, role FROM Users WHERE user_id = $1 FOR UPDATE",
+        [req.params.id]
+      );
+      const user = users.rows[0];
+      if (!user) return [404, "User not found"];
+      if (user.role === "admin") {
+        const admins = await client.query(
+          "SELECT user_id FROM Users WHERE role = 'admin' FOR UPDATE"
+        );
+        if (admins.rows.length <= 1) {
+          return [409, "At least one admin account must remain"];
+        }
+      }
+      await client.query("DELETE FROM Users WHERE user_id = $1", [
+        user.user_id,
+      ]);
+      return null;
+    });
+    if (error) return res.status(error[0]).json({ error: error[1] });
+    res.status(200).json({ message: "User deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (G) Audit Trail API ---
+
+app.get("/api/audit", requireRole("viewer"), async (req, res) => {
+  const { nurseId, date, month } = req.query;
+  const conditions = [];
+  const params = [];
+  if (nurseId) {
+    params.push(nurseId);
+    conditions.push(`a.nurse_id = $${params.length}`);
+  }
+  if (date) {
+    params.push(date);
+    conditions.push(`a.date = $${params.length}`);
+  }
+  if (month) {
+    const range = monthRange(month);
+    if (!range) {
+      return res.status(400).json({ error: "Month must be YYYY-MM" });
+    }
+    params.push(range.from, range.to);
+    conditions.push(
+      `a.date >= $${params.length - 1} AND a.date < $${params.length}`
+    );
+  }
+  if (conditions.length === 0) {
+    return res
+      .status(400)
+      .json({ error: "Provide at least one of nurseId, date or month" });
+  }
+  const sql = `
+        SELECT a.*, COALESCE(n.full_name, a.nurse_name) AS nurse_name
+        FROM Roster_Audit a
+        LEFT JOIN Nurses n ON n.nurse_id = a.nurse_id
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY a.changed_at DESC, a.audit_id DESC
+        LIMIT 1000
+    `;
+  try {
+    const rows = await dbAllAsync(sql, params);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (H) Rotation Pattern API ---
+
+// Splits "M, M, A, A" into ["M", "M", "A", "A"]
+function parseSequence(sequence) {
+  return String(sequence || "")
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+// Checks a pattern body from POST/PUT, returns an error message or null
+function validatePattern(body, shiftCodes) {
+  if (!body.name) return "Name is required";
+  const codes = parseSequence(body.sequence);
+  if (codes.length === 0) return "Sequence must contain at least one code";
+  const unknown = codes.filter((code) => !shiftCodes[code]);
+  if (unknown.length > 0) return `Unknown shift codes: ${unknown.join(", ")}`;
+  return null;
+}
+
+app.get("/api/rotation-patterns", requireRole("viewer"), async (req, res) => {
+  try {
+    const patterns = await dbAllAsync(
+      "SELECT * FROM Rotation_Patterns ORDER BY name"
+    );
+    res.json(patterns);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pattern names are unique; returns the 409 message when `name` is taken
+// by a pattern other than `patternId`
+async function patternNameTaken(name, patternId) {
+  const existing = await dbAllAsync(
+    "SELECT pattern_id FROM Rotation_Patterns WHERE name = $1 AND pattern_id <> $2",
+    [name, patternId || 0]
+  );
+  return existing.length > 0
+    ? `A pattern named "${name}" already exists`
+    : null;
+}
+
+app.post("/api/rotation-patterns", requireRole("manager"), async (req, res) => {
+  try {
+    const validationError = validatePattern(req.body, await getShiftCodeMap());
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const taken = await patternNameTaken(req.body.name, null);
+    if (taken) return res.status(409).json({ error: taken });
+    const sequence = parseSequence(req.body.sequence).join(",");
+    const result = await db.query(
+      "INSERT INTO Rotation_Patterns (name, sequence) VALUES ($1, $2) RETURNING *",
+      [req.body.name, sequence]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put(
+  "/api/rotation-patterns/:id",
+  requireRole("manager"),
+  async (req, res) => {
+    try {
+      const validationError = validatePattern(
+        req.body,
+        await getShiftCodeMap()
+      );
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const taken = await patternNameTaken(req.body.name, req.params.id);
+      if (taken) return res.status(409).json({ error: taken });
+      const sequence = parseSequence(req.body.sequence).join(",");
+      const result = await db.query(
+        "UPDATE Rotation_Patterns SET name = $1, sequence = $2 WHERE pattern_id = $3 RETURNING *",
+        [req.body.name, sequence, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Pattern not found" });
+      }
+      res.json(result.rows[0]);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/rotation-patterns/:id",
+  requireRole("manager"),
+  async (req, res) => {
+    try {
+      await dbRunAsync("DELETE FROM Rotation_Patterns WHERE pattern_id = $1", [
+        req.params.id,
+      ]);
+      res.status(200).json({ message: "Pattern deleted successfully" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Fills a month of Roster_Planned from rotation patterns.
+// Body: { month, commit, assignments: [{ groupId | nurseId, patternId,
+// offset, ward }], versions }. `offset` is the position in the pattern that
+// falls on the 1st of the month. Nurse assignments override their group's.
+// Cells that already have a planned code are never touched. The preview
+// returns the `versions` of the cells it would write; sending them back
+// with the commit turns a cell someone filled in meanwhile into a 409
+// conflict instead of quietly leaving it out.
+app.post(
+  "/api/roster-planned/generate",
+  requireRole("manager"),
+  async (req, res) => {
+    const { month, assignments, commit } = req.body;
+    if (!monthRange(month)) {
+      return res.status(400).json({ error: "Month (YYYY-MM) is required" });
+    }
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "At least one assignment is required" });
+    }
+    try {
+      const shiftCodes = await getShiftCodeMap();
+      const patterns = {};
+      (await dbAllAsync("SELECT * FROM Rotation_Patterns")).forEach(
+        (p) =>
+          (patterns[p.pattern_id] = { ...p, codes: parseSequence(p.sequence) })
+      );
+      for (const a of assignments) {
+        const pattern = patterns[a.patternId];
+        if (!pattern) {
+          return res
+            .status(400)
+            .json({ error: `Unknown pattern id: ${a.patternId}` });
+        }
+        const unknown = pattern.codes.filter((code) => !shiftCodes[code]);
+        if (unknown.length > 0) {
+          return res.status(400).json({
+            error: `Pattern "${
+              pattern.name
+            }" uses unknown codes: ${unknown.join(", ")}`,
+          });
+        }
+      }
+
+      const wardErrors = await resolveWards(assignments);
+      if (wardErrors.length > 0) {
+        return res.status(400).json({
+          error: "Assignments contain unknown wards",
+          details: wardErrors,
+        });
+      }
+
+      const byNurse = {};
+      const byGroup = {};
+      assignments.forEach((a) => {
+        if (a.nurseId) byNurse[a.nurseId] = a;
+        else if (a.groupId) byGroup[a.groupId] = a;
+      });
+
+      const previewed = new Map();
+      (commit && Array.isArray(req.body.versions)
+        ? req.body.versions
+        : []
+      ).forEach((v) => {
+        const version = Number(v && v.version);
+        if (Number.isInteger(version) && version >= 0) {
+          previewed.set(`${v.nurseId}|${v.date}`, version);
+        }
+      });
+
+      const { nurses, dataMap, daysInMonth } = await buildMonthData(month);
+      const entries = [];
+      const preview = [];
+      let skipped = 0;
+      nurses.forEach((nurse) => {
+        const assignment = byNurse[nurse.nurse_id] || byGroup[nurse.group_id];
+        if (!assignment) return;
+        const { codes } = patterns[assignment.patternId];
+        const offset = Number(assignment.offset) || 0;
+        const days = {};
+        for (let day = 1; day <= daysInMonth; day++) {
+          const date = `${month}-${String(day).padStart(2, "0")}`;
+          // Days before they joined or after they left stay blank
+          if (!isEmployedOn(nurse, date)) {
+            days[day] = { shift: "", existing: false };
+            continue;
+          }
+          const cell = dataMap[nurse.nurse_id].shifts[day];
+          const key = `${nurse.nurse_id}|${date}`;
+          if (cell.planned && !previewed.has(key)) {
+            days[day] = { shift: cell.planned, existing: true };
+            skipped++;
+            continue;
+          }
+          const index =
+            (((offset + day - 1) % codes.length) + codes.length) % codes.length;
+          const shift = codes[index];
+          days[day] = { shift, existing: false };
+          entries.push({
+            nurseId: nurse.nurse_id,
+            date,
+            shift,
+            ward: shiftCodes[shift].requires_ward
+              ? assignment.ward || null
+              : null,
+            version: previewed.has(key)
+              ? previewed.get(key)
+              : cell.plannedVersion,
+          });
+        }
+        preview.push({
+          nurseId: nurse.nurse_id,
+          name: nurse.full_name,
+          groupId: nurse.group_id,
+          days,
+        });
+      });
+
+      const result = {
+        month,
+        daysInMonth,
+        nurses: preview,
+        entryCount: entries.length,
+        skipped,
+      };
+      if (!commit) {
+        return res.json({
+          ...result,
+          versions: entries.map((e) => ({
+            nurseId: e.nurseId,
+            date: e.date,
+            version: e.version,
+          })),
+          committed: false,
+        });
+      }
+      const outcome = await writeRosterEntries(req, res, "planned", entries);
+      if (!outcome) return;
+      res.json({ ...result, committed: true, warnings: outcome.warnings });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to generate roster", details: err.message });
+    }
+  }
+);
+
+// --- (I) Roster Rules API ---
+
+app.get("/api/rules", requireRole("viewer"), async (req, res) => {
+  try {
+    res.json(Object.values(await getRules()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put("/api/rules/:key", requireRole("admin"), async (req, res) => {
+  const { enabled, severity, params } = req.body;
+  if (!["hard", "soft"].includes(severity)) {
+    return res.status(400).json({ error: "Severity must be hard or soft" });
+  }
+  const paramsError = ruleParamsError(req.params.key, params);
+  if (paramsError) {
+    return res.status(400).json({ error: paramsError });
+  }
+  try {
+    const result = await db.query(
+      `UPDATE Roster_Rules SET enabled = $1, severity = $2, params = $3
+       WHERE rule_key = $4 RETURNING *`,
+      [enabled !== false, severity, JSON.stringify(params), req.params.key]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+    const rule = result.rows[0];
+    res.json({ ...rule, params: JSON.parse(rule.params) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Checks a proposed day ({ kind, date, roster }) or the stored roster of a
+// whole month ({ kind, month }) without saving anything
+app.post("/api/roster/validate", requireRole("viewer"), async (req, res) => {
+  const { kind, date, roster, month } = req.body;
+  if (!ROSTER_TABLES[kind]) {
+    return res.status(400).json({ error: "Kind must be planned or actual" });
+  }
+  try {
+    let entries;
+    if (date && roster) {
+      entries = roster.map((entry) => ({
+        nurseId: entry.nurseId,
+        date,
+        shift: entry.shift,
+        ward: entry.ward,
+      }));
+    } else if (month) {
+      const { nurses, dataMap, daysInMonth } = await buildMonthData(month);
+      entries = [];
+      nurses.forEach((n) => {
+        for (let day = 1; day <= daysInMonth; day++) {
+          const shift = dataMap[n.nurse_id].shifts[day];
+          const code =
+            kind === "actual" ? shift.actual || shift.planned : shift.planned;
+          if (code) {
+            entries.push({
+              nurseId: n.nurse_id,
+              date: `${month}-${String(day).padStart(2, "0")}`,
+              shift: code,
+              ward: undefined,
+            });
+          }
+        }
+      });
+    } else {
+      return res
+        .status(400)
+        .json({ error: "Provide date and roster, or month" });
+    }
+    res.json(await validateRoster(kind, entries));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (J) Ward Master Data API ---
+
+// Checks a ward body from POST/PUT, returns an error message or null
+function validateWard(body) {
+  if (!body.code || !/^[A-Za-z0-9_-]+$/.test(body.code)) {
+    return "Code is required and may only contain letters, digits, - and _";
+  }
+  if (!body.name) return "Name is required";
+  if (
+    body.bedCount !== undefined &&
+    body.bedCount !== null &&
+    body.bedCount !== "" &&
+    !(Number.isInteger(Number(body.bedCount)) && Number(body.bedCount) >= 0)
+  ) {
+    return "Bed count must be a whole number";
+  }
+  return null;
+}
+
+// Letters and digits only, so "I.C.U", "icu" and "ICU " compare equal
+function wardKey(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+app.get("/api/wards", requireRole("viewer"), async (req, res) => {
+  try {
+    const wards = await dbAllAsync("SELECT * FROM Wards ORDER BY code");
+    res.json(wards);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/wards", requireRole("admin"), async (req, res) => {
+  const validationError = validateWard(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const { name, bedCount } = req.body;
+  const code = req.body.code.toUpperCase();
+  try {
+    const existing = await dbAllAsync(
+      "SELECT ward_id FROM Wards WHERE code = $1",
+      [code]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ error: `Ward ${code} already exists` });
+    }
+    const result = await db.query(
+      "INSERT INTO Wards (code, name, bed_count) VALUES ($1, $2, $3) RETURNING *",
+      [
+        code,
+        name,
+        bedCount === "" || bedCount == null ? null : Number(bedCount),
+      ]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The code is fixed once created because roster rows refer to it
+app.put("/api/wards/:id", requireRole("admin"), async (req, res) => {
+  const { name, bedCount, active } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: "Name is required" });
+  }
+  const validationError = validateWard({ ...req.body, code: "X" });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    const result = await db.query(
+      `UPDATE Wards SET name = $1, bed_count = $2, active = $3
+       WHERE ward_id = $4 RETURNING *`,
+      [
+        name,
+        bedCount === "" || bedCount == null ? null : Number(bedCount),
+        active !== false,
+        req.params.id,
+      ]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Ward not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/wards/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const wards = await dbAllAsync(
+      "SELECT code FROM Wards WHERE ward_id = $1",
+      [req.params.id]
+    );
+    if (wards.length === 0) {
+      return res.status(404).json({ error: "Ward not found" });
+    }
+    const usage = await dbAllAsync(
+      `SELECT 1 FROM Roster_Planned WHERE ward = $1
+       UNION ALL
+       SELECT 1 FROM Roster_Actual WHERE ward = $1
+       LIMIT 1`,
+      [wards[0].code]
+    );
+    if (usage.length > 0) {
+      return res.status(409).json({
+        error: `Ward ${wards[0].code} is used in rosters; deactivate it instead`,
+      });
+    }
+    await dbRunAsync("DELETE FROM Wards WHERE ward_id = $1", [req.params.id]);
+    res.status(200).json({ message: "Ward deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lists free-text ward values in the rosters that are not a ward code,
+// with a suggested ward when one matches ignoring case and punctuation
+app.get("/api/wards/normalise", requireRole("admin"), async (req, res) => {
+  try {
+    const wards = await dbAllAsync("SELECT code, name FROM Wards");
+    const values = await dbAllAsync(
+      `SELECT ward AS value, COUNT(*) AS count FROM (
+           SELECT ward FROM Roster_Planned
+           UNION ALL
+           SELECT ward FROM Roster_Actual
+       ) w
+       WHERE ward IS NOT NULL AND ward <> ''
+       GROUP BY ward
+       ORDER BY ward`
+    );
+    const codes = new Set(wards.map((w) => w.code));
+    const unmapped = values
+      .filter((v) => !codes.has(v.value))
+      .map((v) => {
+        const key = wardKey(v.value);
+        const match = wards.find(
+          (w) => wardKey(w.code) === key || wardKey(w.name) === key
+        );
+        return {
+          value: v.value,
+          count: Number(v.count),
+          suggestion: match ? match.code : null,
+        };
+      });
+    res.json(unmapped);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rewrites free-text ward values to ward codes.
+// Body: { mappings: [{ from: "I.C.U", to: "ICU" }] }
+app.post("/api/wards/normalise", requireRole("admin"), async (req, res) => {
+  const { mappings } = req.body;
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    return res.status(400).json({ error: "Mappings are required" });
+  }
+  try {
+    const codes = new Set(
+      (await dbAllAsync("SELECT code FROM Wards")).map((w) => w.code)
+    );
+    const unknown = mappings.filter((m) => !codes.has(m.to));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown ward codes: ${unknown.map((m) => m.to).join(", ")}`,
+      });
+    }
+    const actor = auditActor(req);
+    const results = await withTransaction(async (client) => {
+      const updated = [];
+      for (const { from, to } of mappings) {
+        const planned = await client.query(
+          "UPDATE Roster_Planned SET ward = $1 WHERE ward = $2",
+          [to, from]
+        );
+        const actual = await client.query(
+          "UPDATE Roster_Actual SET ward = $1 WHERE ward = $2",
+          [to, from]
+        );
+        const rows = planned.rowCount + actual.rowCount;
+        await client.query(
+          `INSERT INTO Roster_Audit
+              (roster, action, old_ward, new_ward, details, changed_by, client)
+           VALUES ('ward', 'normalise', $1, $2, $3, $4, $5)`,
+          [
+            from,
+            to,
+            `Renamed ward on ${rows} roster rows`,
+            actor.user,
+            actor.client,
+          ]
+        );
+        updated.push({ from, to, rows });
+      }
+      return updated;
+    });
+    res.json(results);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (K) Coverage API ---
+
+// Headcount per ward per work shift for every day of a month, for both the
+// planned and actual rosters. Targets come from the min_headcount rule's
+// requirements, so the dashboard and the save checks agree.
+app.get("/api/coverage", requireRole("viewer"), async (req, res) => {
+  const { month } = req.query;
+  const range = monthRange(month);
+  if (!range) {
+    return res
+      .status(400)
+      .json({ error: "Month query parameter (YYYY-MM) is required" });
+  }
+  try {
+    const shiftCodes = await getShiftCodeMap();
+    const rules = await getRules();
+    const requirements =
+      rules.min_headcount &&
+      !ruleParamsError("min_headcount", rules.min_headcount.params)
+        ? rules.min_headcount.params.requirements
+        : [];
+    const [year, monthNum] = month.split("-").map(Number);
+    const daysInMonth = new Date(year, monthNum, 0).getDate();
+
+    const slots = new Map();
+    const addSlot = (ward, shift) => {
+      const key = `${ward}|${shift}`;
+      if (!slots.has(key)) slots.set(key, { key, ward, shift, target: null });
+    };
+
+    // Rows outside a nurse's employment are left over from before they
+    // joined or after they left, so they don't count as cover
+    const employed = new Map();
+    (await getEmployedNurses(range.from, range.to)).forEach((n) =>
+      employed.set(n.nurse_id, n)
+    );
+    const countRows = async (table) => {
+      const rows = await dbAllAsync(
+        `SELECT nurse_id, date, ward, shift_code FROM ${table}
+         WHERE date >= $1 AND date < $2
+             AND ward IS NOT NULL AND ward <> ''`,
+        [range.from, range.to]
+      );
+      const counts = {};
+      rows.forEach((r) => {
+        const code = shiftCodes[r.shift_code];
+        if (!code || code.category !== "work") return;
+        const nurse = employed.get(r.nurse_id);
+        if (!nurse || !isEmployedOn(nurse, r.date)) return;
+        addSlot(r.ward, r.shift_code);
+        if (!counts[r.date]) counts[r.date] = {};
+        const key = `${r.ward}|${r.shift_code}`;
+        counts[r.date][key] = (counts[r.date][key] || 0) + 1;
+      });
+      return counts;
+    };
+    const planned = await countRows("Roster_Planned");
+    const actual = await countRows("Roster_Actual");
+
+    // Explicit ward targets win over "*" targets. As in the rules engine,
+    // "*" only applies to wards that have staff on that day.
+    requirements.forEach((r) => {
+      if (r.ward === "*") {
+        const wards = new Set([...slots.values()].map((slot) => slot.ward));
+        wards.forEach((ward) => addSlot(ward, r.shift));
+      } else {
+        addSlot(r.ward, r.shift);
+      }
+    });
+    slots.forEach((slot) => {
+      const exact = requirements.find(
+        (r) => r.ward === slot.ward && r.shift === slot.shift
+      );
+      const wildcard = requirements.find(
+        (r) => r.ward === "*" && r.shift === slot.shift
+      );
+      const match = exact || wildcard;
+      slot.target = match ? Number(match.min) : null;
+      slot.wildcard = !exact && !!wildcard;
+    });
+
+    // A slot is short on a day if it has a target and fewer staff than it.
+    // Days with no roster at all are not flagged.
+    const findShort = (counts) => {
+      const short = {};
+      Object.keys(counts).forEach((date) => {
+        const staffedWards = new Set(
+          Object.keys(counts[date]).map((key) => key.split("|")[0])
+        );
+        const list = [...slots.values()]
+          .filter(
+            (slot) =>
+              slot.target !== null &&
+              (!slot.wildcard || staffedWards.has(slot.ward)) &&
+              (counts[date][slot.key] || 0) < slot.target
+          )
+          .map((slot) => slot.key);
+        if (list.length > 0) short[date] = list;
+      });
+      return short;
+    };
+
+    const slotList = [...slots.values()].sort(
+      (a, b) =>
+        a.ward.localeCompare(b.ward) ||
+        (shiftCodes[a.shift].sort_order || 0) -
+          (shiftCodes[b.shift].sort_order || 0)
+    );
+    res.json({
+      month,
+      daysInMonth,
+      slots: slotList,
+      planned,
+      actual,
+      understaffed: { planned: findShort(planned), actual: findShort(actual) },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (L) Leave Request API ---
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(date) {
+  if (!DATE_PATTERN.test(date || "")) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// Today's date as "YYYY-MM-DD" in the server's local time
+function today() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(now.getDate()).padStart(2, "0")}`;
+}
+
+app.get("/api/leave-requests", requireRole("viewer"), async (req, res) => {
+  const { status, nurseId } = req.query;
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+  if (nurseId) {
+    params.push(nurseId);
+    conditions.push(`r.nurse_id = $${params.length}`);
+  }
+  const sql = `
+        SELECT r.*, n.full_name, n.group_id
+        FROM Leave_Requests r
+        JOIN Nurses n ON n.nurse_id = r.nurse_id
+        ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY r.status = 'pending' DESC, r.start_date DESC, r.request_id DESC
+        LIMIT 500
+    `;
+  try {
+    res.json(await dbAllAsync(sql, params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/leave-requests", requireRole("manager"), async (req, res) => {
+  const { nurseId, startDate, endDate, leaveCode, reason } = req.body;
+  if (!nurseId || !leaveCode) {
+    return res.status(400).json({ error: "Nurse and leave type are required" });
+  }
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    return res
+      .status(400)
+      .json({ error: "Start and end dates must be YYYY-MM-DD" });
+  }
+  if (endDate < startDate) {
+    return res
+      .status(400)
+      .json({ error: "End date must not be before start date" });
+  }
+  // Approval writes a roster row per day, so keep requests to a year
+  if (dayCount(startDate, endDate) > 366) {
+    return res
+      .status(400)
+      .json({ error: "A leave request can be at most a year long" });
+  }
+  if (!Number.isInteger(Number(nurseId))) {
+    return res.status(400).json({ error: "Invalid nurse" });
+  }
+  try {
+    const shiftCodes = await getShiftCodeMap();
+    const code = shiftCodes[leaveCode];
+    if (!code || code.category !== "leave") {
+      return res
+        .status(400)
+        .json({ error: `${leaveCode} is not a leave code` });
+    }
+    const nurses = await dbAllAsync(
+      "SELECT nurse_id FROM Nurses WHERE nurse_id = $1",
+      [Number(nurseId)]
+    );
+    if (nurses.length === 0) {
+      return res.status(404).json({ error: "Nurse not found" });
+    }
+    const overlapping = await dbAllAsync(
+      `SELECT request_id FROM Leave_Requests
+       WHERE nurse_id = $1 AND status IN ('pending', 'approved')
+           AND start_date <= $3 AND end_date >= $2`,
+      [nurseId, startDate, endDate]
+    );
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: "This nurse already has a leave request for some of these days",
+      });
+    }
+    const result = await db.query(
+      `INSERT INTO Leave_Requests
+          (nurse_id, start_date, end_date, leave_code, reason, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [
+        nurseId,
+        startDate,
+        endDate,
+        leaveCode,
+        reason || null,
+        req.user.username,
+      ]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approving writes the leave code for every day of the request: past days
+// go into Roster_Actual (e.g. sick days reported afterwards), today and
+// future days into Roster_Planned. The request is locked while it is
+// checked and written, so two approvals at once cannot both go through,
+// and a hard rule violation blocks the approval as it blocks a save.
+app.post(
+  "/api/leave-requests/:id/approve",
+  requireRole("manager"),
+  async (req, res) => {
+    try {
+      const actor = auditActor(req);
+      const outcome = await withTransaction(async (client) => {
+        const requests = await client.query(
+          "SELECT * FROM Leave_Requests WHERE request_id = $1 FOR UPDATE",
+          [req.params.id]
+        );
+        const request = requests.rows[0];
+        if (!request) {
+          return { error: [404, { error: "Leave request not found" }] };
+        }
+        if (request.status !== "pending") {
+          return {
+            error: [
+              409,
+              { error: `Leave request is already ${request.status}` },
+            ],
+          };
+        }
+
+        const cutoff = today();
+        const planned = [];
+        const actual = [];
+        dateRange(request.start_date, request.end_date).forEach((date) => {
+          const entry = {
+            nurseId: request.nurse_id,
+            date,
+            shift: request.leave_code,
+            ward: null,
+          };
+          (date < cutoff ? actual : planned).push(entry);
+        });
+        const errors = await validateRosterEntries([...planned, ...actual]);
+        if (errors.length > 0) {
+          return {
+            error: [
+              400,
+              { error: "Roster contains invalid entries", details: errors },
+            ],
+          };
+        }
+        const found = [
+          ...(await validateRoster("planned", planned)),
+          ...(await validateRoster("actual", actual)),
+        ];
+        const violations = found.filter((v) => v.severity === "hard");
+        const warnings = found.filter((v) => v.severity !== "hard");
+        if (violations.length > 0) {
+          return {
+            error: [
+              422,
+              {
+                error: "The leave breaks roster rules",
+                violations,
+                warnings,
+              },
+            ],
+          };
+        }
+
+        const updated = await client.query(
+          `UPDATE Leave_Requests SET status = 'approved', decided_by = $1,
+               decided_at = NOW(), decision_note = $2
+           WHERE request_id = $3 AND status = 'pending'`,
+          [req.user.username, req.body.note || null, request.request_id]
+        );
+        if (updated.rowCount === 0) {
+          return {
+            error: [409, { error: "Leave request was decided meanwhile" }],
+          };
+        }
+        await saveRosterEntries(client, "planned", planned, actor);
+        await saveRosterEntries(client, "actual", actual, actor);
+        return { planned, actual, warnings };
+      });
+      if (outcome.error) {
+        return res.status(outcome.error[0]).json(outcome.error[1]);
+      }
+      res.json({
+        message: "Leave request approved",
+        plannedDays: outcome.planned.length,
+        actualDays: outcome.actual.length,
+        warnings: outcome.warnings,
+      });
+    } catch (err) {
+      res.status(500).json({
+        error: "Failed to approve leave request",
+        details: err.message,
+      });
+    }
+  }
+);
+
+app.post(
+  "/api/leave-requests/:id/reject",
+  requireRole("manager"),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `UPDATE Leave_Requests SET status = 'rejected', decided_by = $1,
+             decided_at = NOW(), decision_note = $2
+         WHERE request_id = $3 AND status = 'pending'
+         RETURNING *`,
+        [req.user.username, req.body.note || null, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res
+          .status(409)
+          .json({ error: "Leave request not found or already decided" });
+      }
+      res.json(result.rows[0]);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// --- (M) Leave Entitlement & Balance API ---
+
+// Balances for `year`, one per nurse and leave code with an entitlement.
+// Days before today are counted from Roster_Actual; today onwards from
+// Roster_Planned unless an actual entry already exists for the day.
+// Leave codes without an entitlement are not tracked.
+async function getLeaveBalances(year, nurseId) {
+  const params = [year];
+  let nurseFilter = "";
+  if (nurseId) {
+    params.push(nurseId);
+    nurseFilter = "AND e.nurse_id = $2";
+  }
+  // Earlier years are needed to work out the carry-over
+  const entitlements = await dbAllAsync(
+    `SELECT e.*, n.full_name, n.group_id
+     FROM Leave_Entitlements e
+     JOIN Nurses n ON n.nurse_id = e.nurse_id
+     WHERE e.year <= $1 ${nurseFilter}
+     ORDER BY e.year`,
+    params
+  );
+  if (entitlements.length === 0) return [];
+
+  const now = today();
+  const from = `${entitlements[0].year}-01-01`;
+  const to = `${year}-12-31`;
+  const nurseIds = [...new Set(entitlements.map((e) => e.nurse_id))];
+  const codes = [...new Set(entitlements.map((e) => e.leave_code))];
+  const planned = await dbAllAsync(
+    `SELECT nurse_id, date, shift_code FROM Roster_Planned
+     WHERE nurse_id = ANY($1::integer[]) AND shift_code = ANY($2::text[])
+         AND date >= $3 AND date <= $4`,
+    [nurseIds, codes, now > from ? now : from, to]
+  );
+  // Future actual entries of any code win over planned leave
+  const actual = await dbAllAsync(
+    `SELECT nurse_id, date, shift_code FROM Roster_Actual
+     WHERE nurse_id = ANY($1::integer[]) AND date >= $3 AND date <= $4
+         AND (shift_code = ANY($2::text[]) OR date >= $5)`,
+    [nurseIds, codes, from, to, now]
+  );
+  const cells = new Map();
+  planned.forEach((r) => cells.set(`${r.nurse_id}|${r.date}`, r));
+  actual.forEach((r) => cells.set(`${r.nurse_id}|${r.date}`, r));
+
+  const usage = new Map();
+  cells.forEach((r) => {
+    const key = `${r.nurse_id}|${r.shift_code}|${r.date.slice(0, 4)}`;
+    const used = usage.get(key) || { taken: 0, booked: 0 };
+    if (r.date < now) used.taken++;
+    else used.booked++;
+    usage.set(key, used);
+  });
+
+  const balances = new Map();
+  entitlements.forEach((e) => {
+    const key = `${e.nurse_id}|${e.leave_code}|${e.year}`;
+    const previous = balances.get(
+      `${e.nurse_id}|${e.leave_code}|${e.year - 1}`
+    );
+    const carriedOver = previous
+      ? Math.min(Math.max(previous.remaining, 0), e.carry_over_max)
+      : 0;
+    const used = usage.get(key) || { taken: 0, booked: 0 };
+    balances.set(key, {
+      nurseId: e.nurse_id,
+      fullName: e.full_name,
+      groupId: e.group_id,
+      leaveCode: e.leave_code,
+      year: e.year,
+      entitlement: e.days,
+      carriedOver,
+      taken: used.taken,
+      booked: used.booked,
+      remaining: e.days + carriedOver - used.taken - used.booked,
+    });
+  });
+
+  return [...balances.values()]
+    .filter((b) => b.year === Number(year))
+    .sort(
+      (a, b) =>
+        a.groupId - b.groupId ||
+        a.fullName.localeCompare(b.fullName) ||
+        a.leaveCode.localeCompare(b.leaveCode)
+    );
+}
+
+function isValidYear(year) {
+  return Number.isInteger(Number(year)) && year >= 2000 && year <= 2100;
+}
+
+app.get("/api/leave-entitlements", requireRole("viewer"), async (req, res) => {
+  const { year, nurseId } = req.query;
+  const conditions = [];
+  const params = [];
+  if (year) {
+    params.push(year);
+    conditions.push(`e.year = $${params.length}`);
+  }
+  if (nurseId) {
+    params.push(nurseId);
+    conditions.push(`e.nurse_id = $${params.length}`);
+  }
+  const sql = `
+        SELECT e.*, n.full_name, n.group_id
+        FROM Leave_Entitlements e
+        JOIN Nurses n ON n.nurse_id = e.nurse_id
+        ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY e.year DESC, n.group_id, n.full_name, e.leave_code
+    `;
+  try {
+    res.json(await dbAllAsync(sql, params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sets one entitlement for a nurse, or for several at once with `nurseIds`
+app.put("/api/leave-entitlements", requireRole("admin"), async (req, res) => {
+  const { nurseId, nurseIds, year, leaveCode, days, carryOverMax } = req.body;
+  const ids = Array.isArray(nurseIds) ? nurseIds : [nurseId];
+  if (ids.length === 0 || ids.some((id) => !Number.isInteger(Number(id)))) {
+    return res.status(400).json({ error: "At least one nurse is required" });
+  }
+  if (!isValidYear(year)) {
+    return res
+      .status(400)
+      .json({ error: "Year must be between 2000 and 2100" });
+  }
+  const carry = carryOverMax === undefined ? 0 : carryOverMax;
+  if (
+    !Number.isInteger(Number(days)) ||
+    days < 0 ||
+    !Number.isInteger(Number(carry)) ||
+    carry < 0
+  ) {
+    return res.status(400).json({
+      error: "Days and carry-over must be whole numbers of 0 or more",
+    });
+  }
+  try {
+    const shiftCodes = await getShiftCodeMap();
+    const code = shiftCodes[leaveCode];
+    if (!code || code.category !== "leave") {
+      return res
+        .status(400)
+        .json({ error: `${leaveCode} is not a leave code` });
+    }
+    const nurses = await dbAllAsync(
+      "SELECT nurse_id FROM Nurses WHERE nurse_id = ANY($1::integer[])",
+      [ids.map(Number)]
+    );
+    if (nurses.length !== new Set(ids.map(Number)).size) {
+      return res.status(404).json({ error: "Nurse not found" });
+    }
+    await withTransaction(async (client) => {
+      for (const id of ids) {
+        await client.query(
+          `INSERT INTO Leave_Entitlements
+              (nurse_id, year, leave_code, days, carry_over_max)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (nurse_id, year, leave_code)
+           DO UPDATE SET days = EXCLUDED.days,
+               carry_over_max = EXCLUDED.carry_over_max`,
+          [id, year, leaveCode, days, carry]
+        );
+      }
+    });
+    res.json({ message: "Entitlements saved", updated: ids.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete(
+  "/api/leave-entitlements/:nurseId/:year/:code",
+  requireRole("admin"),
+  async (req, res) => {
+    const { nurseId, year, code } = req.params;
+    try {
+      const result = await dbRunAsync(
+        `DELETE FROM Leave_Entitlements
+         WHERE nurse_id = $1 AND year = $2 AND leave_code = $3`,
+        [nurseId, year, code]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: "Entitlement not found" });
+      }
+      res.json({ message: "Entitlement deleted" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.get("/api/leave-balances", requireRole("viewer"), async (req, res) => {
+  const year = req.query.year || today().slice(0, 4);
+  if (!isValidYear(year)) {
+    return res
+      .status(400)
+      .json({ error: "Year must be between 2000 and 2100" });
+  }
+  try {
+    res.json(await getLeaveBalances(year, req.query.nurseId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (N) Roster Copy API ---
+
+// Copies a range of planned (or actual) days onto a range of the planned
+// roster. When the target range is longer than the source, the source days
+// repeat in order, so one week can be rolled out over a whole month.
+// By default only blank cells are filled; `overwrite` replaces them too.
+// `skipLeave` leaves nurses alone on days they are on leave and does not
+// copy leave codes, since leave is not part of a repeating pattern.
+// Nurses are only copied onto days they are employed.
+app.post(
+  "/api/roster-planned/copy",
+  requireRole("manager"),
+  async (req, res) => {
+    const {
+      source = "planned",
+      sourceFrom,
+      sourceTo,
+      targetFrom,
+      overwrite = false,
+      skipLeave = true,
+      commit,
+    } = req.body;
+    if (!ROSTER_TABLES[source]) {
+      return res
+        .status(400)
+        .json({ error: "Source must be 'planned' or 'actual'" });
+    }
+    if (![sourceFrom, sourceTo, targetFrom].every(isValidDate)) {
+      return res.status(400).json({
+        error: "sourceFrom, sourceTo and targetFrom must be YYYY-MM-DD",
+      });
+    }
+    if (sourceTo < sourceFrom) {
+      return res
+        .status(400)
+        .json({ error: "sourceTo must not be before sourceFrom" });
+    }
+    const sourceLength = dayCount(sourceFrom, sourceTo);
+    const targetTo =
+      req.body.targetTo || addDays(targetFrom, Math.min(sourceLength, 367) - 1);
+    if (!isValidDate(targetTo) || targetTo < targetFrom) {
+      return res
+        .status(400)
+        .json({ error: "targetTo must be a date on or after targetFrom" });
+    }
+    if (sourceLength > 366 || dayCount(targetFrom, targetTo) > 366) {
+      return res
+        .status(400)
+        .json({ error: "Ranges can be at most one year long" });
+    }
+    const sourceDays = dateRange(sourceFrom, sourceTo);
+    const targetDays = dateRange(targetFrom, targetTo);
+    if (
+      source === "planned" &&
+      targetFrom <= sourceTo &&
+      targetTo >= sourceFrom
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Source and target ranges must not overlap" });
+    }
+
+    try {
+      const shiftCodes = await getShiftCodeMap();
+      const isLeave = (code) =>
+        !!shiftCodes[code] && shiftCodes[code].category === "leave";
+
+      const sourceRows = await dbAllAsync(
+        `SELECT nurse_id, date, shift_code, ward FROM ${ROSTER_TABLES[source]}
+         WHERE date >= $1 AND date <= $2 AND shift_code IS NOT NULL
+             AND shift_code <> ''`,
+        [sourceFrom, sourceTo]
+      );
+      const byDate = {};
+      sourceRows.forEach((r) =>
+        (byDate[r.date] = byDate[r.date] || []).push(r)
+      );
+
+      // The versions read here go with the entries, so a target cell
+      // edited between this read and the write is reported, not overwritten
+      const existing = new Map();
+      const versions = new Map();
+      (
+        await dbAllAsync(
+          `SELECT nurse_id, date, shift_code, version FROM Roster_Planned
+           WHERE date >= $1 AND date <= $2`,
+          [targetFrom, targetTo]
+        )
+      ).forEach((r) => {
+        existing.set(`${r.nurse_id}|${r.date}`, r.shift_code);
+        versions.set(`${r.nurse_id}|${r.date}`, Number(r.version));
+      });
+
+      // Days in the target range where a nurse is already on leave
+      const onLeave = new Set();
+      if (skipLeave) {
+        existing.forEach((code, key) => {
+          if (isLeave(code)) onLeave.add(key);
+        });
+        const actual = await dbAllAsync(
+          `SELECT nurse_id, date, shift_code FROM Roster_Actual
+           WHERE date >= $1 AND date <= $2`,
+          [targetFrom, targetTo]
+        );
+        actual.forEach((r) => {
+          if (isLeave(r.shift_code)) onLeave.add(`${r.nurse_id}|${r.date}`);
+        });
+        const approved = await dbAllAsync(
+          `SELECT nurse_id, start_date, end_date FROM Leave_Requests
+           WHERE status = 'approved' AND start_date <= $2 AND end_date >= $1`,
+          [targetFrom, targetTo]
+        );
+        approved.forEach((r) =>
+          dateRange(
+            r.start_date < targetFrom ? targetFrom : r.start_date,
+            r.end_date > targetTo ? targetTo : r.end_date
+          ).forEach((date) => onLeave.add(`${r.nurse_id}|${date}`))
+        );
+      }
+
+      const employed = new Map();
+      (await getEmployedNurses(targetFrom, addDays(targetTo, 1))).forEach((n) =>
+        employed.set(n.nurse_id, n)
+      );
+
+      const entries = [];
+      const skipped = { existing: 0, leave: 0, notEmployed: 0 };
+      targetDays.forEach((date, i) => {
+        const rows = byDate[sourceDays[i % sourceDays.length]] || [];
+        rows.forEach((r) => {
+          const key = `${r.nurse_id}|${date}`;
+          const nurse = employed.get(r.nurse_id);
+          if (!nurse || !isEmployedOn(nurse, date)) {
+            skipped.notEmployed++;
+            return;
+          }
+          if (skipLeave && (isLeave(r.shift_code) || onLeave.has(key))) {
+            skipped.leave++;
+            return;
+          }
+          if (existing.get(key) && !overwrite) {
+            skipped.existing++;
+            return;
+          }
+          entries.push({
+            nurseId: r.nurse_id,
+            date,
+            shift: r.shift_code,
+            ward: r.ward || null,
+            version: versions.get(key) || 0,
+          });
+        });
+      });
+
+      const wardErrors = await resolveWards(entries);
+      if (wardErrors.length > 0) {
+        return res.status(400).json({
+          error: "The source days use unknown or inactive wards",
+          details: wardErrors,
+        });
+      }
+
+      const result = {
+        source,
+        sourceFrom,
+        sourceTo,
+        targetFrom,
+        targetTo,
+        entryCount: entries.length,
+        skipped,
+        lockedBy: lockHolders("planned", targetDays, req.user.username),
+      };
+      if (!commit) {
+        return res.json({ ...result, committed: false });
+      }
+      const outcome = await writeRosterEntries(req, res, "planned", entries);
+      if (!outcome) return;
+      res.json({
+        ...result,
+        changed: outcome.changes.length,
+        committed: true,
+        warnings: outcome.warnings,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to copy roster", details: err.message });
+    }
+  }
+);
+
+// --- (O) Shift Swap API ---
+
+function swapDates(swap) {
+  return swap.date_b && swap.date_b !== swap.date_a
+    ? [swap.date_a, swap.date_b]
+    : [swap.date_a];
+}
+
+// Works out what approving a swap would write: on each swap date the two
+// nurses trade their planned shift and ward. `runner` is the pool or a
+// transaction client. Returns the cells as they are now, the entries to
+// save and the reasons (if any) the nurses are not eligible.
+async function planSwap(runner, swap, lock = false) {
+  const nurseIds = [swap.nurse_a_id, swap.nurse_b_id];
+  const dates = swapDates(swap);
+  const shiftCodes = await getShiftCodeMap();
+  const rows = await runner.query(
+    `SELECT nurse_id, date, shift_code, ward FROM Roster_Planned
+     WHERE nurse_id = ANY($1::integer[]) AND date = ANY($2::date[])
+     ORDER BY date, nurse_id ${lock ? "FOR UPDATE" : ""}`,
+    [nurseIds, dates]
+  );
+  const nurses = await runner.query(
+    "SELECT nurse_id, full_name FROM Nurses WHERE nurse_id = ANY($1::integer[])",
+    [nurseIds]
+  );
+  const names = {};
+  nurses.rows.forEach((n) => (names[n.nurse_id] = n.full_name));
+  const cellOf = (nurseId, date) => {
+    const row = rows.rows.find(
+      (r) => r.nurse_id === nurseId && r.date === date
+    );
+    return {
+      nurseId,
+      date,
+      shift: (row && row.shift_code) || null,
+      ward: (row && row.ward) || null,
+    };
+  };
+
+  const problems = [];
+  nurseIds.forEach((id) => {
+    if (!names[id]) problems.push(`Nurse ${id} no longer exists`);
+  });
+  const leave = await runner.query(
+    `SELECT nurse_id, start_date, end_date FROM Leave_Requests
+     WHERE status = 'approved' AND nurse_id = ANY($1::integer[])`,
+    [nurseIds]
+  );
+
+  const before = [];
+  const entries = [];
+  let changes = false;
+  dates.forEach((date) => {
+    const a = cellOf(swap.nurse_a_id, date);
+    const b = cellOf(swap.nurse_b_id, date);
+    [a, b].forEach((cell) => {
+      const code = shiftCodes[cell.shift];
+      const onLeave =
+        (code && code.category === "leave") ||
+        leave.rows.some(
+          (l) =>
+            l.nurse_id === cell.nurseId &&
+            l.start_date <= date &&
+            l.end_date >= date
+        );
+      if (onLeave) {
+        problems.push(`${names[cell.nurseId]} is on leave on ${date}`);
+      }
+    });
+    if (a.shift !== b.shift || a.ward !== b.ward) changes = true;
+    before.push(a, b);
+    entries.push(
+      { nurseId: a.nurseId, date, shift: b.shift, ward: b.ward },
+      { nurseId: b.nurseId, date, shift: a.shift, ward: a.ward }
+    );
+  });
+  if (!changes) {
+    problems.push("Both nurses have the same shift on the swap date(s)");
+  }
+  return { before, entries, problems };
+}
+
+app.get("/api/shift-swaps", requireRole("viewer"), async (req, res) => {
+  const { status, nurseId, month } = req.query;
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`s.status = $${params.length}`);
+  }
+  if (nurseId) {
+    params.push(nurseId);
+    conditions.push(
+      `(s.nurse_a_id = $${params.length} OR s.nurse_b_id = $${params.length})`
+    );
+  }
+  if (month) {
+    const range = monthRange(month);
+    if (!range) {
+      return res.status(400).json({ error: "Month must be YYYY-MM" });
+    }
+    params.push(range.from, range.to);
+    const from = `$${params.length - 1}`;
+    const to = `$${params.length}`;
+    conditions.push(
+      `((s.date_a >= ${from} AND s.date_a < ${to})
+        OR (s.date_b >= ${from} AND s.date_b < ${to}))`
+    );
+  }
+  const sql = `
+        SELECT s.*, a.full_name AS nurse_a_name, b.full_name AS nurse_b_name
+        FROM Shift_Swaps s
+        JOIN Nurses a ON a.nurse_id = s.nurse_a_id
+        JOIN Nurses b ON b.nurse_id = s.nurse_b_id
+        ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY s.status = 'pending' DESC, s.date_a DESC, s.swap_id DESC
+        LIMIT 500
+    `;
+  try {
+    const swaps = await dbAllAsync(sql, params);
+    swaps.forEach(
+      (s) => (s.swapped = s.swapped ? JSON.parse(s.swapped) : null)
+    );
+    res.json(swaps);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/shift-swaps", requireRole("manager"), async (req, res) => {
+  const { nurseAId, nurseBId, dateA, dateB, reason } = req.body;
+  if (!nurseAId || !nurseBId || Number(nurseAId) === Number(nurseBId)) {
+    return res.status(400).json({ error: "Two different nurses are required" });
+  }
+  if (!isValidDate(dateA) || (dateB && !isValidDate(dateB))) {
+    return res.status(400).json({ error: "Dates must be YYYY-MM-DD" });
+  }
+  const swap = {
+    nurse_a_id: Number(nurseAId),
+    nurse_b_id: Number(nurseBId),
+    date_a: dateA,
+    date_b: dateB && dateB !== dateA ? dateB : null,
+  };
+  try {
+    const { problems } = await planSwap(db, swap);
+    if (problems.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "These nurses cannot swap", details: problems });
+    }
+    const result = await db.query(
+      `INSERT INTO Shift_Swaps
+          (nurse_a_id, nurse_b_id, date_a, date_b, reason, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [
+        swap.nurse_a_id,
+        swap.nurse_b_id,
+        swap.date_a,
+        swap.date_b,
+        reason || null,
+        req.user.username,
+      ]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approval re-checks eligibility and the roster rules, then exchanges the
+// cells in one transaction. The cells are locked and compared with what
+// was validated so a concurrent edit cannot be overwritten.
+app.post(
+  "/api/shift-swaps/:id/approve",
+  requireRole("manager"),
+  async (req, res) => {
+    try {
+      const swaps = await dbAllAsync(
+        "SELECT * FROM Shift_Swaps WHERE swap_id = $1",
+        [req.params.id]
+      );
+      const swap = swaps[0];
+      if (!swap) {
+        return res.status(404).json({ error: "Swap request not found" });
+      }
+      if (swap.status !== "pending") {
+        return res
+          .status(409)
+          .json({ error: `Swap request is already ${swap.status}` });
+      }
+
+      const plan = await planSwap(db, swap);
+      if (plan.problems.length > 0) {
+        return res
+          .status(409)
+          .json({ error: "These nurses cannot swap", details: plan.problems });
+      }
+      if (await rejectInvalidEntries(res, plan.entries)) return;
+      const found = await validateRoster("planned", plan.entries);
+      const violations = found.filter((v) => v.severity === "hard");
+      const warnings = found.filter((v) => v.severity !== "hard");
+      if (violations.length > 0) {
+        return res.status(422).json({
+          error: "The swap breaks roster rules",
+          violations,
+          warnings,
+        });
+      }
+
+      const approved = await withTransaction(async (client) => {
+        const locked = await planSwap(client, swap, true);
+        if (JSON.stringify(locked.before) !== JSON.stringify(plan.before)) {
+          return false;
+        }
+        const updated = await client.query(
+          `UPDATE Shift_Swaps SET status = 'approved', decided_by = $1,
+               decided_at = NOW(), decision_note = $2, swapped = $3
+           WHERE swap_id = $4 AND status = 'pending'`,
+          [
+            req.user.username,
+            req.body.note || null,
+            JSON.stringify(plan.before),
+            swap.swap_id,
+          ]
+        );
+        if (updated.rowCount === 0) return false;
+        await saveRosterEntries(
+          client,
+          "planned",
+          plan.entries,
+          auditActor(req)
+        );
+        return true;
+      });
+      if (!approved) {
+        return res.status(409).json({
+          error: "The roster or the request changed meanwhile, please retry",
+        });
+      }
+      res.json({ message: "Swap approved", warnings });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to approve swap", details: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/shift-swaps/:id/reject",
+  requireRole("manager"),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `UPDATE Shift_Swaps SET status = 'rejected', decided_by = $1,
+             decided_at = NOW(), decision_note = $2
+         WHERE swap_id = $3 AND status = 'pending'
+         RETURNING *`,
+        [req.user.username, req.body.note || null, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res
+          .status(409)
+          .json({ error: "Swap request not found or already decided" });
+      }
+      res.json(result.rows[0]);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// --- (P) Calendar Feed API ---
+// Read-only iCalendar feeds of the planned roster. Calendar apps cannot
+// log in, so the feed URL carries a random token instead of a login;
+// revoking the feed is how a leaked link is shut off.
+
+// Feeds cover a window around today rather than the whole history
+const FEED_DAYS_BEFORE = 60;
+const FEED_DAYS_AFTER = 365;
+
+function feedPath(token) {
+  return `/api/calendar/${token}.ics`;
+}
+
+function icsEscape(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines may be at most 75 octets; longer ones continue on lines
+// that start with a space
+function icsFold(line) {
+  const lines = [];
+  let current = "";
+  for (const char of line) {
+    const limit = lines.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      lines.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+// Shift times are written without a time zone ("floating"), so calendars
+// show them as the same wall-clock times the roster uses
+function icsDateTime(date, time) {
+  return `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+// One event per roster entry. Shifts with times become timed events (an
+// end time before the start runs into the next day); leave, holidays and
+// codes without times become all-day events. Days off are left out.
+function rosterEvent(entry, shiftCodes, { uid, summary, stamp }) {
+  const code = shiftCodes[entry.shift_code];
+  if (code && code.category === "off") return [];
+  const lines = ["BEGIN:VEVENT", `UID:${uid}`, `DTSTAMP:${stamp}`];
+  if (code && code.start_time && code.end_time) {
+    const endDate =
+      code.end_time <= code.start_time ? addDays(entry.date, 1) : entry.date;
+    lines.push(
+      `DTSTART:${icsDateTime(entry.date, code.start_time)}`,
+      `DTEND:${icsDateTime(endDate, code.end_time)}`
+    );
+  } else {
+    lines.push(
+      `DTSTART;VALUE=DATE:${entry.date.replace(/-/g, "")}`,
+      `DTEND;VALUE=DATE:${addDays(entry.date, 1).replace(/-/g, "")}`,
+      "TRANSP:TRANSPARENT"
+    );
+  }
+  lines.push(`SUMMARY:${icsEscape(summary)}`);
+  if (entry.ward) lines.push(`LOCATION:${icsEscape(entry.ward)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function shiftLabel(entry, shiftCodes) {
+  const code = shiftCodes[entry.shift_code];
+  return code ? `${code.label} (${code.code})` : entry.shift_code;
+}
+
+app.get("/api/calendar-feeds", requireRole("manager"), async (req, res) => {
+  const { nurseId, ward } = req.query;
+  try {
+    const feeds = await dbAllAsync(
+      `SELECT f.feed_id, f.token, f.nurse_id, n.full_name, f.ward,
+                f.created_by, f.created_at
+         FROM Calendar_Feeds f
+         LEFT JOIN Nurses n ON n.nurse_id = f.nurse_id
+         WHERE f.revoked_at IS NULL
+           AND ($1::integer IS NULL OR f.nurse_id = $1)
+           AND ($2::text IS NULL OR f.ward = $2)
+         ORDER BY f.created_at DESC`,
+      [nurseId || null, ward || null]
+    );
+    res.json(feeds.map((f) => ({ ...f, path: feedPath(f.token) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Returns the target's active feed, creating one if there is none
+app.post("/api/calendar-feeds", requireRole("manager"), async (req, res) => {
+  const nurseId = req.body.nurseId || null;
+  const ward = req.body.ward ? String(req.body.ward).toUpperCase() : null;
+  if (!nurseId === !ward) {
+    return res.status(400).json({ error: "Give either a nurseId or a ward" });
+  }
+  try {
+    const target = nurseId
+      ? await dbAllAsync("SELECT nurse_id FROM Nurses WHERE nurse_id = $1", [
+          nurseId,
+        ])
+      : await dbAllAsync("SELECT code FROM Wards WHERE code = $1", [ward]);
+    if (target.length === 0) {
+      return res
+        .status(404)
+        .json({ error: nurseId ? "Nurse not found" : "Ward not found" });
+    }
+
+    const existing = await dbAllAsync(
+      `SELECT * FROM Calendar_Feeds
+         WHERE revoked_at IS NULL AND ${nurseId ? "nurse_id" : "ward"} = $1`,
+      [nurseId || ward]
+    );
+    if (existing.length > 0) {
+      return res.json({
+        ...existing[0],
+        path: feedPath(existing[0].token),
+      });
+    }
+    const result = await db.query(
+      `INSERT INTO Calendar_Feeds (token, nurse_id, ward, created_by)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+      [crypto.randomBytes(24).toString("hex"), nurseId, ward, req.user.username]
+    );
+    const feed = result.rows[0];
+    res.status(201).json({ ...feed, path: feedPath(feed.token) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete(
+  "/api/calendar-feeds/:id",
+  requireRole("manager"),
+  async (req, res) => {
+    try {
+      const result = await dbRunAsync(
+        `UPDATE Calendar_Feeds SET revoked_at = NOW()
+         WHERE feed_id = $1 AND revoked_at IS NULL`,
+        [req.params.id]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: "Feed not found" });
+      }
+      res.json({ message: "Feed revoked" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// The feed itself. No requireRole: the token in the URL is the credential.
+app.get("/api/calendar/:token.ics", async (req, res) => {
+  try {
+    const feeds = await dbAllAsync(
+      `SELECT f.nurse_id, f.ward, n.full_name
+       FROM Calendar_Feeds f
+       LEFT JOIN Nurses n ON n.nurse_id = f.nurse_id
+       WHERE f.token = $1 AND f.revoked_at IS NULL`,
+      [req.params.token]
+    );
+    if (feeds.length === 0) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+    const feed = feeds[0];
+    const from = addDays(today(), -FEED_DAYS_BEFORE);
+    const to = addDays(today(), FEED_DAYS_AFTER);
+    const entries = await dbAllAsync(
+      `SELECT p.nurse_id, p.date, p.shift_code, p.ward, n.full_name
+       FROM Roster_Planned p
+       JOIN Nurses n ON n.nurse_id = p.nurse_id
+       WHERE p.date >= $1 AND p.date < $2 AND p.shift_code IS NOT NULL
+         AND ${feed.nurse_id ? "p.nurse_id" : "p.ward"} = $3
+       ORDER BY p.date, n.full_name`,
+      [from, to, feed.nurse_id || feed.ward]
+    );
+    const shiftCodes = await getShiftCodeMap();
+
+    const stamp = `${new Date()
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .slice(0, 15)}Z`;
+    // UIDs differ per feed kind so subscribing to both a nurse's and
+    // their ward's feed does not merge the two copies of an event
+    const events = entries.flatMap((entry) =>
+      rosterEvent(entry, shiftCodes, {
+        uid: `${feed.nurse_id ? "nurse" : "ward"}-${entry.nurse_id}-${
+          entry.date
+        }@caresync`,
+        summary: feed.nurse_id
+          ? shiftLabel(entry, shiftCodes)
+          : `${entry.full_name}: ${shiftLabel(entry, shiftCodes)}`,
+        stamp,
+      })
+    );
+    const name = feed.nurse_id
+      ? `${feed.full_name} - Roster`
+      : `${feed.ward} Ward - Roster`;
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//CareSync//Nurse Roster//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${icsEscape(name)}`,
+      ...events,
+      "END:VCALENDAR",
+    ];
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="roster.ics"');
+    res.send(lines.map(icsFold).join("\r\n") + "\r\n");
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- (Q) Payroll Export API ---
+// Hours per nurse per month from the actual roster, laid out in the
+// columns payroll's import expects (see the "payroll" App_Settings row).
+
+async function getPayrollSettings() {
+  const rows = await dbAllAsync(
+    "SELECT value FROM App_Settings WHERE setting_key = 'payroll'"
+  );
+  return rows.length > 0
+    ? { ...DEFAULT_PAYROLL_SETTINGS, ...JSON.parse(rows[0].value) }
+    : DEFAULT_PAYROLL_SETTINGS;
+}
+
+// Checks a payroll settings body, returns an error message or null.
+// A column shows either a computed `field` or a fixed `value`.
+function validatePayrollSettings(settings) {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (
+    typeof settings.weeklyOvertimeHours !== "number" ||
+    settings.weeklyOvertimeHours <= 0
+  ) {
+    return "weeklyOvertimeHours must be a positive number";
+  }
+  if (
+    !timePattern.test(settings.nightStart || "") ||
+    !timePattern.test(settings.nightEnd || "")
+  ) {
+    return "nightStart and nightEnd must be in HH:MM format";
+  }
+  if (![",", ";", "\t", "|"].includes(settings.delimiter)) {
+    return "delimiter must be one of , ; | or a tab";
+  }
+  if (!Array.isArray(settings.columns) || settings.columns.length === 0) {
+    return "columns must be a non-empty array";
+  }
+  for (const column of settings.columns) {
+    if (!column || typeof column.header !== "string" || !column.header) {
+      return "Every column needs a header";
+    }
+    if (column.field === undefined && typeof column.value !== "string") {
+      return `Column ${column.header} needs a field or a fixed value`;
+    }
+    if (column.field !== undefined && !PAYROLL_FIELDS[column.field]) {
+      return `Unknown field ${column.field}; use one of: ${Object.keys(
+        PAYROLL_FIELDS
+      ).join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Start and end of a timed shift in minutes from the roster day's
+// midnight; a shift ending at or before its start ends the next day
+function shiftMinutes(code) {
+  const start = timeToMinutes(code.start_time);
+  let end = timeToMinutes(code.end_time);
+  if (end <= start) end += 24 * 60;
+  return { start, end };
+}
+
+// Minutes of [start, end) inside the night window, which may itself wrap
+// past midnight. Windows starting the day before and after are included
+// so shifts that cross midnight are covered.
+function nightMinutes({ start, end }, nightStart, nightEnd) {
+  const from = timeToMinutes(nightStart);
+  let to = timeToMinutes(nightEnd);
+  if (to <= from) to += 24 * 60;
+  let minutes = 0;
+  for (const offset of [-24 * 60, 0, 24 * 60]) {
+    minutes += Math.max(
+      0,
+      Math.min(end, to + offset) - Math.max(start, from + offset)
+    );
+  }
+  return minutes;
+}
+
+// Monday on or before a "YYYY-MM-DD" date
+function weekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((day + 6) % 7));
 }
 
-// --- 6. API ENDPOINTS ---
+// One row per nurse for a "YYYY-MM" month. Overtime is counted per week
+// (Monday to Sunday) on the day the weekly threshold is crossed, so a
+// week that starts in the previous month still counts towards it.
+// Holiday hours are hours worked on a public holiday or on a day planned as
+// a holiday (NH/PH).
+async function buildPayroll(month, settings) {
+  const range = monthRange(month);
+  if (!range) throw new Error(`Invalid month: ${month}`);
+  const from = weekStart(range.from);
+  const nurses = await getEmployedNurses(range.from, range.to);
+  // Employment periods back to the week start, for the overtime lookback
+  const employment = new Map();
+  (await getEmployedNurses(from, range.to)).forEach((n) =>
+    employment.set(n.nurse_id, n)
+  );
+  const actual = await dbAllAsync(
+    "SELECT nurse_id, date, shift_code FROM Roster_Actual WHERE date >= $1 AND date < $2",
+    [from, range.to]
+  );
+  const planned = await dbAllAsync(
+    "SELECT nurse_id, date, shift_code FROM Roster_Planned WHERE date >= $1 AND date < $2",
+    [range.from, range.to]
+  );
+  const shiftCodes = await getShiftCodeMap();
 
-// --- (A) Nurse Management API ---
-// (SQL placeholders changed from ? to $1, $2, etc.)
+  const actualMap = {};
+  actual.forEach((r) => (actualMap[`${r.nurse_id}|${r.date}`] = r.shift_code));
+  const holidays = new Set(
+    planned
+      .filter((r) => {
+        const code = shiftCodes[r.shift_code];
+        return code && code.category === "holiday";
+      })
+      .map((r) => `${r.nurse_id}|${r.date}`)
+  );
+  const publicHolidays = new Set(
+    (await getHolidays(range.from, range.to)).map((h) => h.date)
+  );
+  const threshold = settings.weeklyOvertimeHours * 60;
+  const days = dateRange(from, addDays(range.to, -1));
+  const hours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+  return nurses.map((nurse) => {
+    const totals = {
+      days: 0,
+      total: 0,
+      night: 0,
+      holiday: 0,
+      overtime: 0,
+      paidLeave: 0,
+      unpaidLeave: 0,
+    };
+    let weekMinutes = 0;
+    days.forEach((date) => {
+      if (date === weekStart(date)) weekMinutes = 0;
+      // Rows from before they joined or after they left are not paid
+      if (!isEmployedOn(employment.get(nurse.nurse_id), date)) return;
+      const key = `${nurse.nurse_id}|${date}`;
+      const code = shiftCodes[actualMap[key]];
+      const timed =
+        code && code.category === "work" && code.start_time && code.end_time;
+      const span = timed ? shiftMinutes(code) : null;
+      const worked = span ? span.end - span.start : 0;
+      const overtime =
+        Math.max(0, weekMinutes + worked - threshold) -
+        Math.max(0, weekMinutes - threshold);
+      weekMinutes += worked;
+      if (date < range.from) return;
 
-app.get("/api/nurses", async (req, res) => {
+      if (span) {
+        totals.days += 1;
+        totals.total += worked;
+        totals.night += nightMinutes(
+          span,
+          settings.nightStart,
+          settings.nightEnd
+        );
+        totals.overtime += overtime;
+        if (holidays.has(key) || publicHolidays.has(date)) {
+          totals.holiday += worked;
+        }
+      } else if (code && code.category === "leave") {
+        if (code.paid) totals.paidLeave += 1;
+        else totals.unpaidLeave += 1;
+      }
+    });
+    return {
+      nurseId: nurse.nurse_id,
+      fullName: nurse.full_name,
+      groupId: nurse.group_id,
+      month,
+      daysWorked: totals.days,
+      totalHours: hours(totals.total),
+      nightHours: hours(totals.night),
+      holidayHours: hours(totals.holiday),
+      overtimeHours: hours(totals.overtime),
+      paidLeaveDays: totals.paidLeave,
+      unpaidLeaveDays: totals.unpaidLeave,
+    };
+  });
+}
+
+function csvCell(value, delimiter) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+app.get("/api/payroll", requireRole("manager"), async (req, res) => {
+  const { month } = req.query;
+  const format = req.query.format || "json";
+  if (!monthRange(month)) {
+    return res.status(400).json({ error: "Month must be in YYYY-MM format" });
+  }
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ error: "Format must be json or csv" });
+  }
   try {
-    const nurses = await dbAllAsync(
-      "SELECT * FROM Nurses ORDER BY group_id, full_name"
+    const settings = await getPayrollSettings();
+    const rows = (await buildPayroll(month, settings)).map((row) =>
+      settings.columns.map((c) =>
+        c.field !== undefined ? row[c.field] : c.value
+      )
+    );
+
+    if (format === "json") {
+      return res.json(
+        rows.map((values) =>
+          Object.fromEntries(
+            settings.columns.map((c, i) => [c.header, values[i]])
+          )
+        )
+      );
+    }
+    const { delimiter } = settings;
+    const lines = [settings.columns.map((c) => c.header), ...rows].map(
+      (values) => values.map((v) => csvCell(v, delimiter)).join(delimiter)
+    );
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="Payroll_${month}.csv"`
     );
-    res.json(nurses);
+    res.send(lines.join("\r\n") + "\r\n");
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res
+      .status(500)
+      .json({ error: "Failed to build payroll export", details: err.message });
   }
 });
 
-app.post("/api/nurses", async (req, res) => {
-  const { name, group } = req.body;
-  if (!name || !group) {
-    return res.status(400).json({ error: "Name and group are required" });
-  }
+app.get("/api/payroll/settings", requireRole("manager"), async (req, res) => {
   try {
-    // Use 'RETURNING' to get the new ID from PostgreSQL
-    const sql =
-      "INSERT INTO Nurses (full_name, group_id) VALUES ($1, $2) RETURNING nurse_id";
-    const result = await db.query(sql, [name, group]);
-    res.status(201).json({ id: result.rows[0].nurse_id, name, group });
+    res.json({ ...(await getPayrollSettings()), fields: PAYROLL_FIELDS });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.delete("/api/nurses/:id", async (req, res) => {
+app.put("/api/payroll/settings", requireRole("admin"), async (req, res) => {
   try {
-    const { id } = req.params;
-    // "ON DELETE CASCADE" in the table definition handles deleting roster data
-    await dbRunAsync("DELETE FROM Nurses WHERE nurse_id = $1", [id]);
-    res.status(200).json({ message: "Nurse deleted successfully" });
+    // Fields left out of the body keep their current values
+    const settings = { ...(await getPayrollSettings()), ...req.body };
+    delete settings.fields;
+    const validationError = validatePayrollSettings(settings);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await db.query(
+      `INSERT INTO App_Settings (setting_key, value) VALUES ('payroll', $1)
+       ON CONFLICT (setting_key) DO UPDATE SET value = EXCLUDED.value`,
+      [JSON.stringify(settings)]
+    );
+    res.json(settings);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// --- (B) Roster Data API ---
+// --- (R) Holiday Calendar API ---
 
-app.get("/api/roster-status", async (req, res) => {
-  const { month } = req.query;
-  if (!month) {
-    return res.status(400).json({ error: "Month query parameter is required" });
+// The shift code a holiday is planned as, by holiday type
+const HOLIDAY_CODES = { national: "NH", festival: "PH" };
+
+function validateHoliday(body) {
+  if (!isValidDate(body.date)) {
+    return "Date must be a real date as YYYY-MM-DD";
   }
-  try {
-    // Use PostgreSQL date functions
-    const plannedSql =
-      "SELECT DISTINCT date FROM Roster_Planned WHERE to_char(date::date, 'YYYY-MM') = $1";
-    const actualSql =
-      "SELECT DISTINCT date FROM Roster_Actual WHERE to_char(date::date, 'YYYY-MM') = $1";
+  if (typeof body.name !== "string" || !body.name.trim()) {
+    return "Name is required";
+  }
+  if (!HOLIDAY_CODES[body.type]) return "Type must be national or festival";
+  return null;
+}
 
-    const plannedDays = await dbAllAsync(plannedSql, [month]);
-    const actualDays = await dbAllAsync(actualSql, [month]);
+// Holidays from `from` up to (not including) `to`, like monthRange
+async function getHolidays(from, to) {
+  return dbAllAsync(
+    "SELECT * FROM Holidays WHERE date >= $1 AND date < $2 ORDER BY date",
+    [from, to]
+  );
+}
 
-    const status = {};
-    plannedDays.forEach((row) => {
-      if (row.date && !status[row.date]) status[row.date] = {};
-      if (row.date) status[row.date].planned = true;
+// "2027-01-26" from an iCalendar DATE or DATE-TIME value
+function icsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// One { line, date, name, type } per day of each VEVENT. All-day events
+// spanning several days (DTEND is exclusive) give one row per day. The type
+// comes from CATEGORIES when it says national or festival.
+function parseIcsHolidays(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const rows = [];
+  const invalid = [];
+  let event = null;
+  lines.forEach((line, index) => {
+    if (line === "BEGIN:VEVENT") {
+      event = { line: index + 1 };
+      return;
+    }
+    if (line === "END:VEVENT" && event) {
+      const start = icsDate(event.DTSTART);
+      const name = (event.SUMMARY || "")
+        .replace(/\\n/gi, " ")
+        .replace(/\\([,;\\])/g, "$1")
+        .trim();
+      if (!start || !isValidDate(start)) {
+        invalid.push({ line: event.line, error: "Event has no valid DTSTART" });
+      } else {
+        const end = icsDate(event.DTEND);
+        const last = end && end > start ? addDays(end, -1) : start;
+        const category = (event.CATEGORIES || "").toLowerCase();
+        const type = Object.keys(HOLIDAY_CODES).find((t) =>
+          category.includes(t)
+        );
+        dateRange(start, last)
+          .slice(0, 31)
+          .forEach((date) => rows.push({ line: event.line, date, name, type }));
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    const colon = line.indexOf(":");
+    if (colon < 0) return;
+    const property = line.slice(0, colon).split(";")[0].toUpperCase();
+    event[property] = line.slice(colon + 1);
+  });
+  return { rows, invalid };
+}
+
+// Rows of "date,name[,type]"; a first line that doesn't start with a date
+// is taken as the header
+function parseCsvHolidays(text) {
+  const rows = [];
+  const invalid = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted && ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = !quoted;
+      } else if (ch === "," && !quoted) {
+        cells.push(cell);
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell);
+    const [date, name, type] = cells.map((c) => c.trim());
+    if (index === 0 && !/^\d{4}-/.test(date)) return;
+    if (!isValidDate(date)) {
+      invalid.push({ line: index + 1, error: `Invalid date: ${date}` });
+      return;
+    }
+    rows.push({
+      line: index + 1,
+      date,
+      name,
+      type: type ? type.toLowerCase() : undefined,
     });
-    actualDays.forEach((row) => {
-      if (row.date && !status[row.date]) status[row.date] = {};
-      if (row.date) status[row.date].actual = true;
+  });
+  return { rows, invalid };
+}
+
+// Shades the day columns of a month-grid sheet that fall on a holiday,
+// keeping shift colours, and names the holiday in a header note
+function shadeHolidayColumns(worksheet, holidays) {
+  holidays.forEach((holiday) => {
+    const col = Number(holiday.date.slice(8, 10)) + 1;
+    worksheet.getColumn(col).eachCell({ includeEmpty: true }, (cell, row) => {
+      if (row > 1 && cell.fill) return;
+      cell.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFFCE4D6" },
+      };
     });
+    worksheet.getRow(1).getCell(col).note = `${holiday.name} (${holiday.type})`;
+  });
+}
 
-    res.json(status);
+// ?month=YYYY-MM or ?year=YYYY (the current year by default)
+app.get("/api/holidays", requireRole("viewer"), async (req, res) => {
+  const { month } = req.query;
+  const year = req.query.year || today().slice(0, 4);
+  let range;
+  if (month) {
+    range = monthRange(month);
+    if (!range) return res.status(400).json({ error: "Month must be YYYY-MM" });
+  } else {
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: "Year must be YYYY" });
+    }
+    range = { from: `${year}-01-01`, to: `${Number(year) + 1}-01-01` };
+  }
+  try {
+    res.json(await getHolidays(range.from, range.to));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/roster", async (req, res) => {
-  const { date } = req.query;
-  if (!date) {
-    return res.status(400).json({ error: "Date query parameter is required" });
+app.post("/api/holidays", requireRole("admin"), async (req, res) => {
+  const type = req.body.type || "national";
+  const validationError = validateHoliday({ ...req.body, type });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
-  const sql = `
-        SELECT 
-            n.nurse_id, n.full_name, n.group_id,
-            p.shift_code as planned_shift,
-            p.ward as planned_ward,
-            a.shift_code as actual_shift,
-            a.ward as actual_ward
-        FROM 
-            Nurses n
-        LEFT JOIN 
-            Roster_Planned p ON n.nurse_id = p.nurse_id AND p.date = $1
-        LEFT JOIN 
-            Roster_Actual a ON n.nurse_id = a.nurse_id AND a.date = $2
-        ORDER BY
-            n.group_id, n.full_name;
-    `;
+  const { date, name } = req.body;
   try {
-    const rows = await dbAllAsync(sql, [date, date]);
-    res.json(rows);
+    const existing = await dbAllAsync(
+      "SELECT name FROM Holidays WHERE date = $1",
+      [date]
+    );
+    if (existing.length > 0) {
+      return res
+        .status(409)
+        .json({ error: `${date} is already a holiday (${existing[0].name})` });
+    }
+    const result = await db.query(
+      "INSERT INTO Holidays (date, name, type) VALUES ($1, $2, $3) RETURNING *",
+      [date, name.trim(), type]
+    );
+    res.status(201).json(result.rows[0]);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/roster-planned", async (req, res) => {
-  const { date, roster } = req.body;
-  if (!date || !roster) {
-    return res.status(400).json({ error: "Missing date or roster data" });
+app.put("/api/holidays/:id", requireRole("admin"), async (req, res) => {
+  const validationError = validateHoliday(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
-  const sql = `
-        INSERT INTO Roster_Planned (nurse_id, date, shift_code, ward)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (nurse_id, date) DO UPDATE SET
-            shift_code = excluded.shift_code,
-            ward = excluded.ward;
-    `;
+  const { date, name, type } = req.body;
   try {
-    await Promise.all(
-      roster.map((entry) =>
-        dbRunAsync(sql, [entry.nurseId, date, entry.shift, entry.ward])
-      )
+    const existing = await dbAllAsync(
+      "SELECT name FROM Holidays WHERE date = $1 AND holiday_id <> $2",
+      [date, req.params.id]
+    );
+    if (existing.length > 0) {
+      return res
+        .status(409)
+        .json({ error: `${date} is already a holiday (${existing[0].name})` });
+    }
+    const result = await db.query(
+      `UPDATE Holidays SET date = $1, name = $2, type = $3
+       WHERE holiday_id = $4 RETURNING *`,
+      [date, name.trim(), type, req.params.id]
     );
-    res.status(200).json({ message: "Planned roster updated" });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Holiday not found" });
+    }
+    res.json(result.rows[0]);
   } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to update planned roster", details: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/roster-actual", async (req, res) => {
-  const { date, roster } = req.body;
-  if (!date || !roster) {
-    return res.status(400).json({ error: "Missing date or roster data" });
-  }
-  const sql = `
-        INSERT INTO Roster_Actual (nurse_id, date, shift_code, ward)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (nurse_id, date) DO UPDATE SET
-            shift_code = excluded.shift_code,
-            ward = excluded.ward;
-    `;
+// Planned NH/PH entries already written stay; they are ordinary roster rows
+app.delete("/api/holidays/:id", requireRole("admin"), async (req, res) => {
   try {
-    await Promise.all(
-      roster.map((entry) =>
-        dbRunAsync(sql, [entry.nurseId, date, entry.shift, entry.ward])
-      )
+    const result = await db.query(
+      "DELETE FROM Holidays WHERE holiday_id = $1 RETURNING holiday_id",
+      [req.params.id]
     );
-    res.status(200).json({ message: "Actual roster updated" });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Holiday not found" });
+    }
+    res.json({ message: "Holiday deleted" });
   } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to update actual roster", details: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// --- (C) Report Generation API ---
-app.get("/api/report-actual", async (req, res) => {
-  const { month } = req.query;
-  if (!month) {
-    return res.status(400).json({ error: "Month query parameter is required" });
-  }
-  try {
-    const nurses = await dbAllAsync(
-      "SELECT * FROM Nurses ORDER BY group_id, full_name"
-    );
-    const planned = await dbAllAsync(
-      "SELECT * FROM Roster_Planned WHERE to_char(date::date, 'YYYY-MM') = $1",
-      [month]
-    );
-    const actual = await dbAllAsync(
-      "SELECT * FROM Roster_Actual WHERE to_char(date::date, 'YYYY-MM') = $1",
-      [month]
-    );
-
-    const dataMap = {};
-    nurses.forEach((n) => (dataMap[n.nurse_id] = { nurse: n, shifts: {} }));
+// Body is the raw .ics or .csv file. ?type= is used for rows that don't
+// give one. Dates that are already holidays are renamed/retyped from the
+// file. Without ?commit=true only the preview is returned.
+app.post(
+  "/api/holidays/import",
+  requireRole("admin"),
+  express.raw({ type: "*/*", limit: "5mb" }),
+  async (req, res) => {
+    const { commit } = req.query;
+    const defaultType = req.query.type || "national";
+    if (!HOLIDAY_CODES[defaultType]) {
+      return res
+        .status(400)
+        .json({ error: "Type must be national or festival" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Uploaded file is empty" });
+    }
+    const text = req.body.toString("utf8");
+    const format =
+      req.query.format || (/BEGIN:VCALENDAR/.test(text) ? "ics" : "csv");
+    const parsed =
+      format === "ics" ? parseIcsHolidays(text) : parseCsvHolidays(text);
 
-    const [year, monthNum] = month.split("-").map(Number);
-    const daysInMonth = new Date(year, monthNum, 0).getDate();
+    const seen = new Set();
+    const holidays = [];
+    const invalid = [...parsed.invalid];
+    parsed.rows.forEach((row) => {
+      const holiday = {
+        date: row.date,
+        name: row.name,
+        type: row.type || defaultType,
+      };
+      const error = validateHoliday(holiday);
+      if (error) {
+        invalid.push({ line: row.line, error: `${row.date}: ${error}` });
+      } else if (seen.has(row.date)) {
+        invalid.push({ line: row.line, error: `${row.date} is listed twice` });
+      } else {
+        seen.add(row.date);
+        holidays.push({ ...holiday, name: holiday.name.trim() });
+      }
+    });
 
-    for (let day = 1; day <= daysInMonth; day++) {
-      nurses.forEach(
-        (n) => (dataMap[n.nurse_id].shifts[day] = { planned: "", actual: "" })
+    try {
+      const existing = {};
+      (await dbAllAsync("SELECT * FROM Holidays")).forEach(
+        (h) => (existing[h.date] = h)
       );
+      holidays.forEach((h) => {
+        const current = existing[h.date];
+        h.status = !current
+          ? "new"
+          : current.name === h.name && current.type === h.type
+          ? "unchanged"
+          : "updated";
+      });
+      const preview = {
+        holidays: holidays.sort((a, b) => a.date.localeCompare(b.date)),
+        invalid: invalid.sort((a, b) => a.line - b.line),
+        added: holidays.filter((h) => h.status === "new").length,
+        updated: holidays.filter((h) => h.status === "updated").length,
+      };
+      if (commit !== "true") {
+        return res.json({ ...preview, committed: false });
+      }
+      await withTransaction(async (client) => {
+        for (const h of holidays.filter((h) => h.status !== "unchanged")) {
+          await client.query(
+            `INSERT INTO Holidays (date, name, type) VALUES ($1, $2, $3)
+             ON CONFLICT (date) DO UPDATE
+             SET name = EXCLUDED.name, type = EXCLUDED.type`,
+            [h.date, h.name, h.type]
+          );
+        }
+      });
+      res.json({ ...preview, committed: true });
+    } catch (err) {
+      res.status(500).json({
+        error: "Failed to import holidays",
+        details: err.message,
+      });
     }
+  }
+);
 
-    planned.forEach((p) => {
-      if (p.date && dataMap[p.nurse_id]) {
-        try {
-          const day = parseInt(p.date.split("-")[2], 10);
-          if (day && dataMap[p.nurse_id].shifts[day]) {
-            dataMap[p.nurse_id].shifts[day].planned = p.shift_code;
-          }
-        } catch (e) {
-          console.error(`Skipping bad planned date: ${p.date}`);
-        }
-      }
+// Plans NH (national) or PH (festival) for each nurse employed on a holiday
+// in { month } whose planned roster is still empty that day. Days that
+// already have a code, including work, leave and offs, are left alone.
+// Without commit: true only the preview is returned.
+app.post("/api/holidays/prefill", requireRole("manager"), async (req, res) => {
+  const { month, commit } = req.body;
+  const range = monthRange(month);
+  if (!range) {
+    return res.status(400).json({ error: "Month must be YYYY-MM" });
+  }
+  try {
+    const holidays = await getHolidays(range.from, range.to);
+    const shiftCodes = await getShiftCodeMap();
+    const missing = [
+      ...new Set(holidays.map((h) => HOLIDAY_CODES[h.type])),
+    ].filter((code) => !shiftCodes[code]);
+    if (missing.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `Shift code ${missing.join(", ")} does not exist` });
+    }
+    const nurses = await getEmployedNurses(range.from, range.to);
+    // Filled cells are left alone; the version of an empty row is sent so
+    // a cell someone fills meanwhile comes back as a conflict
+    const planned = new Set();
+    const versions = new Map();
+    (
+      await dbAllAsync(
+        "SELECT nurse_id, date, shift_code, version FROM Roster_Planned WHERE date >= $1 AND date < $2",
+        [range.from, range.to]
+      )
+    ).forEach((r) => {
+      const key = `${r.nurse_id}|${r.date}`;
+      if (r.shift_code) planned.add(key);
+      versions.set(key, Number(r.version));
     });
 
-    actual.forEach((a) => {
-      if (a.date && dataMap[a.nurse_id]) {
-        try {
-          const day = parseInt(a.date.split("-")[2], 10);
-          if (day && dataMap[a.nurse_id].shifts[day]) {
-            dataMap[a.nurse_id].shifts[day].actual = a.shift_code;
-          }
-        } catch (e) {
-          console.error(`Skipping bad actual date: ${a.date}`);
-        }
-      }
+    const entries = [];
+    const days = holidays.map((holiday) => {
+      const code = HOLIDAY_CODES[holiday.type];
+      const free = nurses.filter(
+        (n) =>
+          isEmployedOn(n, holiday.date) &&
+          !planned.has(`${n.nurse_id}|${holiday.date}`)
+      );
+      free.forEach((n) =>
+        entries.push({
+          nurseId: n.nurse_id,
+          date: holiday.date,
+          shift: code,
+          ward: null,
+          version: versions.get(`${n.nurse_id}|${holiday.date}`) || 0,
+        })
+      );
+      return {
+        date: holiday.date,
+        name: holiday.name,
+        code,
+        nurses: free.map((n) => n.full_name),
+      };
     });
 
-    const workbook = new Excel.Workbook();
-    const worksheet = workbook.addWorksheet(`${month} Actual Report`);
-    const columns = [{ header: "Staff Name", key: "name", width: 30 }];
-    for (let i = 1; i <= daysInMonth; i++) {
-      columns.push({ header: i.toString(), key: `day${i}`, width: 5 });
+    const result = { month, holidays: days, entryCount: entries.length };
+    if (commit !== true) {
+      return res.json({ ...result, committed: false });
     }
-    columns.push({ header: "Deviation %", key: "deviation", width: 15 });
-    worksheet.columns = columns;
+    const outcome = await writeRosterEntries(req, res, "planned", entries);
+    if (!outcome) return;
+    res.json({ ...result, committed: true, warnings: outcome.warnings });
+  } catch (err) {
+    res.status(500).json({
+      error: "Failed to pre-fill holidays",
+      details: err.message,
+    });
+  }
+});
 
-    let currentGroup = 0;
-    for (const nurse of nurses) {
-      if (nurse.group_id !== currentGroup && currentGroup !== 0) {
-        worksheet.addRow({});
-      }
-      currentGroup = nurse.group_id;
-      let totalDeviations = 0;
-      let totalPlannedShifts = 0;
-      const rowData = { name: nurse.full_name };
+// --- (S) Analytics API ---
+// How the actual roster differed from the plan over a date range. Each
+// nurse-day counts as at most one of each kind of change:
+// - absence: planned to work, logged as leave, off or holiday
+// - shift change: worked a different shift than planned (e.g. M→N)
+// - ward change: worked on a different ward than planned
+// - extra shift: worked without a planned working shift
+// Days without an actual entry have nothing to compare and are not
+// counted as changes, but their planned shifts are in the rate denominators.
 
-      for (let day = 1; day <= daysInMonth; day++) {
-        const shift = dataMap[nurse.nurse_id].shifts[day];
-        if (shift) {
-          const displayCode = shift.actual || shift.planned || "";
-          rowData[`day${day}`] = displayCode;
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 
-          const plannedWork = ["A", "M", "N", "G"].includes(shift.planned);
-          const actualLeave = [
-            "PL",
-            "SL",
-            "NH",
-            "PH",
-            "WO",
-            "NO",
-            "SO",
-          ].includes(shift.actual);
+function emptyAnalyticsBucket() {
+  return {
+    plannedShifts: 0,
+    workedShifts: 0,
+    absences: 0,
+    shiftChanges: 0,
+    wardChanges: 0,
+    extraShifts: 0,
+  };
+}
 
-          if (plannedWork) totalPlannedShifts++;
-          if (plannedWork && actualLeave) {
-            totalDeviations++;
-          }
-        } else {
-          rowData[`day${day}`] = "";
-        }
-      }
+// Absences per 100 planned shifts, to one decimal place
+function withAbsenceRate(bucket) {
+  return {
+    ...bucket,
+    absenceRate:
+      bucket.plannedShifts > 0
+        ? Math.round((bucket.absences / bucket.plannedShifts) * 1000) / 10
+        : 0,
+  };
+}
 
-      const deviationPercent =
-        totalPlannedShifts > 0
-          ? (totalDeviations / totalPlannedShifts) * 100
-          : 0;
-      rowData["deviation"] = `${deviationPercent.toFixed(1)}%`;
-      const row = worksheet.addRow(rowData);
+// { from, to, group, ward, top } with to inclusive; group and ward narrow
+// it to the nurse's group on the day and the ward they were planned on (or
+// worked on, for extra shifts)
+async function buildAnalytics({ from, to, group, ward, top }) {
+  const shiftCodes = await getShiftCodeMap();
+  const memberships = {};
+  (
+    await dbAllAsync(
+      `SELECT g.nurse_id, g.group_id, g.start_date, g.end_date, n.full_name
+       FROM Nurse_Groups g JOIN Nurses n ON n.nurse_id = g.nurse_id`
+    )
+  ).forEach((m) =>
+    (memberships[m.nurse_id] = memberships[m.nurse_id] || []).push(m)
+  );
+  const cells = {};
+  for (const kind of ["planned", "actual"]) {
+    const rows = await dbAllAsync(
+      `SELECT nurse_id, date, shift_code, ward FROM ${ROSTER_TABLES[kind]}
+       WHERE date >= $1 AND date <= $2 AND shift_code IS NOT NULL AND shift_code <> ''`,
+      [from, to]
+    );
+    rows.forEach((r) => {
+      const key = `${r.nurse_id}|${r.date}`;
+      if (!cells[key]) {
+        cells[key] = { nurseId: r.nurse_id, date: r.date };
+      }
+      cells[key][kind] = {
+        shift: r.shift_code,
+        ward: (r.ward || "").trim().toUpperCase(),
+      };
+    });
+  }
 
-      row.eachCell((cell, colNumber) => {
-        if (colNumber > 1 && colNumber <= daysInMonth + 1) {
-          if (["WO", "NO", "SO", "PL", "SL", "NH", "PH"].includes(cell.value)) {
-            cell.fill = {
-              type: "pattern",
-              pattern: "solid",
-              fgColor: { argb: "FFFFFF00" },
-            };
-          }
-        }
-      });
-      row.getCell("deviation").font = { bold: true };
+  const totals = emptyAnalyticsBucket();
+  const buckets = { group: {}, ward: {}, weekday: {}, month: {} };
+  const reasons = {};
+  const shiftChanges = {};
+  const wardChanges = {};
+  const nurses = {};
+  const bucket = (dimension, key) => {
+    if (!buckets[dimension][key]) {
+      buckets[dimension][key] = emptyAnalyticsBucket();
     }
+    return buckets[dimension][key];
+  };
+  const count = (map, key) => (map[key] = (map[key] || 0) + 1);
 
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  Object.values(cells).forEach(({ nurseId, date, planned, actual }) => {
+    const membership = (memberships[nurseId] || []).find(
+      (m) =>
+        (!m.start_date || m.start_date <= date) &&
+        (!m.end_date || m.end_date >= date)
     );
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="ActualRoster_${month}.xlsx"`
+    if (!membership) return; // Not employed that day
+    const plannedCode = planned && shiftCodes[planned.shift];
+    const actualCode = actual && shiftCodes[actual.shift];
+    const plannedWork = !!plannedCode && plannedCode.category === "work";
+    const actualWork = !!actualCode && actualCode.category === "work";
+    const dayWard = plannedWork ? planned.ward : actualWork ? actual.ward : "";
+    if (group && String(membership.group_id) !== String(group)) return;
+    if (ward && dayWard !== ward.trim().toUpperCase()) return;
+
+    const day = {
+      plannedShifts: plannedWork ? 1 : 0,
+      workedShifts: actualWork ? 1 : 0,
+      absences: plannedWork && actual && !actualWork ? 1 : 0,
+      shiftChanges:
+        plannedWork && actualWork && planned.shift !== actual.shift ? 1 : 0,
+      wardChanges:
+        plannedWork &&
+        actualWork &&
+        planned.ward &&
+        actual.ward &&
+        planned.ward !== actual.ward
+          ? 1
+          : 0,
+      extraShifts: actualWork && !plannedWork ? 1 : 0,
+    };
+    if (Object.values(day).every((v) => v === 0)) return;
+
+    const weekday =
+      WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+    if (!nurses[nurseId]) {
+      nurses[nurseId] = {
+        nurseId,
+        fullName: membership.full_name,
+        groupId: membership.group_id,
+        reasons: {},
+        ...emptyAnalyticsBucket(),
+      };
+    }
+    [
+      totals,
+      bucket("group", membership.group_id),
+      bucket("ward", dayWard),
+      bucket("weekday", weekday),
+      bucket("month", date.slice(0, 7)),
+      nurses[nurseId],
+    ].forEach((target) =>
+      Object.keys(day).forEach((key) => (target[key] += day[key]))
     );
-    await workbook.xlsx.write(res);
-    res.end();
+    if (day.absences) {
+      count(reasons, actual.shift);
+      count(nurses[nurseId].reasons, actual.shift);
+    }
+    if (day.shiftChanges)
+      count(shiftChanges, `${planned.shift}|${actual.shift}`);
+    if (day.wardChanges) count(wardChanges, `${planned.ward}|${actual.ward}`);
+  });
+
+  // Every month and weekday is listed so the charts have no gaps
+  const months = [
+    ...new Set(dateRange(from, to).map((date) => date.slice(0, 7))),
+  ];
+  const list = (dimension, keys, name) =>
+    keys.map((key) => ({
+      [name]: key,
+      ...withAbsenceRate(buckets[dimension][key] || emptyAnalyticsBucket()),
+    }));
+  const changes = (map) =>
+    Object.entries(map)
+      .map(([key, total]) => {
+        const [changedFrom, changedTo] = key.split("|");
+        return { from: changedFrom, to: changedTo, count: total };
+      })
+      .sort((a, b) => b.count - a.count);
+
+  return {
+    from,
+    to,
+    filters: { group: group || null, ward: ward || null },
+    totals: withAbsenceRate(totals),
+    byReason: Object.entries(reasons)
+      .map(([code, total]) => ({
+        code,
+        label: shiftCodes[code] ? shiftCodes[code].label : code,
+        category: shiftCodes[code] ? shiftCodes[code].category : "unknown",
+        count: total,
+      }))
+      .sort((a, b) => b.count - a.count),
+    byGroup: list(
+      "group",
+      Object.keys(buckets.group).sort((a, b) => a - b),
+      "group"
+    ).map((g) => ({ ...g, group: Number(g.group) })),
+    byWard: list("ward", Object.keys(buckets.ward).sort(), "ward"),
+    byWeekday: list("weekday", WEEKDAYS, "weekday"),
+    byMonth: list("month", months, "month"),
+    shiftChanges: changes(shiftChanges),
+    wardChanges: changes(wardChanges),
+    topAbsentees: Object.values(nurses)
+      .filter((n) => n.absences > 0)
+      .map(withAbsenceRate)
+      .sort(
+        (a, b) =>
+          b.absences - a.absences ||
+          b.absenceRate - a.absenceRate ||
+          a.fullName.localeCompare(b.fullName)
+      )
+      .slice(0, top),
+  };
+}
+
+// ?from=&to= (inclusive, at most two years), optional ?group=, ?ward= and
+// ?top= (how many absentees to list, 10 by default)
+app.get("/api/analytics", requireRole("manager"), async (req, res) => {
+  const { from, to, group, ward } = req.query;
+  if (!isValidDate(from) || !isValidDate(to) || to < from) {
+    return res
+      .status(400)
+      .json({ error: "from and to must be YYYY-MM-DD, from before to" });
+  }
+  if (dayCount(from, to) > 731) {
+    return res
+      .status(400)
+      .json({ error: "The range can be at most two years" });
+  }
+  const top = req.query.top === undefined ? 10 : Number(req.query.top);
+  if (!Number.isInteger(top) || top < 1 || top > 100) {
+    return res
+      .status(400)
+      .json({ error: "top must be a whole number from 1 to 100" });
+  }
+  try {
+    res.json(await buildAnalytics({ from, to, group, ward, top }));
   } catch (err) {
-    console.error("Failed to generate ACTUAL report:", err);
-    res.status(500).json({
-      error: "Failed to generate actual report",
-      details: err.message,
-    });
+    res
+      .status(500)
+      .json({ error: "Failed to build analytics", details: err.message });
   }
 });
 
-// --- 7. START THE SERVER ---
-app.listen(PORT, () => {
-  console.log(`Backend server is running on port ${PORT}`);
+// --- (T) Live Updates API ---
+// Open trackers keep an /api/events stream (Server-Sent Events) and hear
+// about roster saves ("roster"), nurse list changes ("nurses") and who is
+// editing which day ("lock" / "unlock"). Day locks are advisory: they show
+// others that someone has the day open, while saves are guarded by the
+// row versions checked in findVersionConflicts. Both live in this
+// process, so a second server instance would not see the other's events.
+const LOCK_TTL_MS = 2 * 60 * 1000;
+const rosterLocks = new Map(); // "kind|date" -> { kind, date, user, expiresAt }
+
+function activeLocks() {
+  const now = Date.now();
+  return [...rosterLocks.values()].filter((l) => l.expiresAt > now);
+}
+
+// Days among `dates` that users other than `username` have open, as
+// [{ date, user }], so bulk writers can say whose day they are changing
+function lockHolders(kind, dates, username) {
+  const wanted = new Set(dates);
+  return activeLocks()
+    .filter((l) => l.kind === kind && wanted.has(l.date) && l.user !== username)
+    .map((l) => ({ date: l.date, user: l.user }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Drops locks whose holder closed the tab without releasing them
+const lockSweep = setInterval(() => {
+  const now = Date.now();
+  rosterLocks.forEach((lock, key) => {
+    if (lock.expiresAt > now) return;
+    rosterLocks.delete(key);
+    broadcast("unlock", { kind: lock.kind, date: lock.date });
+  });
+}, 30 * 1000);
+lockSweep.unref();
+
+// EventSource cannot send an Authorization header, so the token comes in
+// the query string instead
+app.get("/api/events", async (req, res) => {
+  let user;
+  try {
+    user = await userFromToken(String(req.query.token || ""));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  if (!user) {
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  const client = { res, user: user.username };
+  eventClients.add(client);
+  sendEvent(client, "locks", activeLocks());
+  // Keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25 * 1000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventClients.delete(client);
+  });
+});
+
+app.get("/api/roster-locks", requireRole("viewer"), (req, res) => {
+  res.json(activeLocks());
+});
+
+// Checks the :kind/:date of a lock request, sending a 400 when invalid
+function lockKey(req, res) {
+  const { kind, date } = req.params;
+  if (!ROSTER_TABLES[kind] || !isValidDate(date)) {
+    res
+      .status(400)
+      .json({ error: "Lock a planned or actual roster day (YYYY-MM-DD)" });
+    return null;
+  }
+  return `${kind}|${date}`;
+}
+
+// Takes or refreshes the lock on a day. Someone else's live lock is left
+// alone and returned with `mine: false`, since editing is still allowed.
+app.put("/api/roster-locks/:kind/:date", requireRole("manager"), (req, res) => {
+  const key = lockKey(req, res);
+  if (!key) return;
+  const held = rosterLocks.get(key);
+  if (held && held.user !== req.user.username && held.expiresAt > Date.now()) {
+    return res.json({ ...held, mine: false });
+  }
+  const lock = {
+    kind: req.params.kind,
+    date: req.params.date,
+    user: req.user.username,
+    expiresAt: Date.now() + LOCK_TTL_MS,
+  };
+  rosterLocks.set(key, lock);
+  if (!held || held.user !== lock.user) broadcast("lock", lock);
+  res.json({ ...lock, mine: true });
 });
+
+app.delete(
+  "/api/roster-locks/:kind/:date",
+  requireRole("manager"),
+  (req, res) => {
+    const key = lockKey(req, res);
+    if (!key) return;
+    const held = rosterLocks.get(key);
+    if (held && held.user === req.user.username) {
+      rosterLocks.delete(key);
+      broadcast("unlock", { kind: held.kind, date: held.date });
+    }
+    res.status(204).end();
+  }
+);
+
+// --- 7. START THE SERVER ---
+// Only once the schema is up to date: a failed migration stops the server
+// rather than leaving it serving a half-migrated database
+createTables()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Backend server is running on port ${PORT}`);
+    });
+  })
+  .catch(() => process.exit(1));
@@ -1,26 +1,71 @@
 document.addEventListener("DOMContentLoaded", () => {
   // --- STATE ---
-  // NEW: Updated shift codes with full names
-  const SHIFT_CODES = [
-    { code: "A", full: "A (Afternoon)" },
-    { code: "M", full: "M (Morning)" },
-    { code: "N", full: "N (Night)" },
-    { code: "G", full: "G (General Shift)" },
-    { code: "WO", full: "WO (Weekly Off)" },
-    { code: "NO", full: "NO (Night Off)" },
-    { code: "SO", full: "SO (Saturday Off)" },
-    { code: "PL", full: "PL (Planned Leave)" },
-    { code: "SL", full: "SL (Sick Leave)" },
-    { code: "NH", full: "NH (National Holiday)" },
-    { code: "PH", full: "PH (Festival Holiday)" },
-  ];
+  // Shift codes come from the backend catalog (see loadShiftCodes)
+  let shiftCodes = [];
+  let wards = [];
+
+  const API_BASE = "https://attendancetracker-backend-04g3.onrender.com";
+  const ROLES = ["viewer", "manager", "admin"];
 
+  let currentUser = null; // { id, username, role } once logged in
   let currentDate = new Date(2025, 6, 1);
   let currentMode = "actual"; // 'planned' or 'actual'
   let calendarStatus = {}; // Caches the status dots
+  let coverageData = null; // Headcount per ward/shift for the month
+  let monthHolidays = {}; // Public holidays in the month shown, by date
+  let headcountRule = null; // The min_headcount rule holding the targets
+  let profileNurseId = null; // Nurse shown in the profile modal
+  let profileMonth = null; // First day of the month it shows
+  let pendingSwaps = []; // Swap requests awaiting a decision
+  let selectedDates = new Set(); // Days picked with Ctrl/Shift-click
+  let selectionAnchor = null; // Where a Shift-click range starts
+  let rosterBaseline = {}; // Shift/ward per nurse as the roster modal opened
+  let outboxItems = []; // Roster saves queued while offline
+  let isOffline = false;
+  let syncing = false;
+  let managedNurses = []; // Active nurses listed in the Manage Nurses modal
+  let nurseSearchTimer = null;
+  let eventSource = null; // Live updates from /api/events
+  let rosterLocks = {}; // Days other users have open, by "kind|date"
+  let heldLock = null; // { kind, date } of the day lock we hold
+  let lockRefreshTimer = null;
+  let liveRefreshTimer = null;
 
   // --- DOM ELEMENTS ---
+  const loginScreen = document.getElementById("login-screen");
+  const loginForm = document.getElementById("login-form");
+  const loginUsernameEl = document.getElementById("login-username");
+  const loginPasswordEl = document.getElementById("login-password");
+  const loginErrorEl = document.getElementById("login-error");
+  const currentUserEl = document.getElementById("current-user");
+  const offlineIndicatorEl = document.getElementById("offline-indicator");
+  const syncBtn = document.getElementById("sync-btn");
+  const syncCountEl = document.getElementById("sync-count");
+  const logoutBtn = document.getElementById("logout-btn");
+
   const calendarGrid = document.getElementById("calendar-grid");
+  const selectionSummaryEl = document.getElementById("selection-summary");
+  const copySourceEl = document.getElementById("copy-source");
+  const copyOverwriteEl = document.getElementById("copy-overwrite");
+  const copySkipLeaveEl = document.getElementById("copy-skip-leave");
+  const copyWeekBtn = document.getElementById("copy-week-btn");
+  const copyMonthBtn = document.getElementById("copy-month-btn");
+  const copyTargetFromEl = document.getElementById("copy-target-from");
+  const copyTargetToEl = document.getElementById("copy-target-to");
+  const copySelectionBtn = document.getElementById("copy-selection-btn");
+  const coverageBtn = document.getElementById("coverage-btn");
+  const coverageDashboardEl = document.getElementById("coverage-dashboard");
+  const analyticsBtn = document.getElementById("analytics-btn");
+  const analyticsDashboardEl = document.getElementById("analytics-dashboard");
+  const analyticsPresetEl = document.getElementById("analytics-preset");
+  const analyticsFromEl = document.getElementById("analytics-from");
+  const analyticsToEl = document.getElementById("analytics-to");
+  const analyticsWardEl = document.getElementById("analytics-ward");
+  const coverageSourceEl = document.getElementById("coverage-source");
+  const coverageGridEl = document.getElementById("coverage-grid");
+  const coverageTargetsEl = document.getElementById("coverage-targets");
+  const addTargetBtn = document.getElementById("add-target-btn");
+  const saveTargetsBtn = document.getElementById("save-targets-btn");
   const currentMonthEl = document.getElementById("current-month");
 
   const modePlannedBtn = document.getElementById("mode-planned");
@@ -28,9 +73,13 @@ document.addEventListener("DOMContentLoaded", () => {
 
   const rosterModal = document.getElementById("roster-modal");
   const modalDateEl = document.getElementById("modal-date");
+  const rosterLockNoteEl = document.getElementById("roster-lock-note");
   const rosterListEl = document.getElementById("roster-list");
   const closeRosterModalBtn = document.getElementById("close-roster-modal");
   const saveRosterBtn = document.getElementById("save-roster-btn");
+  const rosterHistoryEl = document.getElementById("roster-history");
+  const rosterHistoryBtn = document.getElementById("roster-history-btn");
+  const checkRulesBtn = document.getElementById("check-rules-btn");
 
   const nurseModal = document.getElementById("nurse-modal");
   const manageNursesBtn = document.getElementById("manage-nurses-btn");
@@ -38,28 +87,713 @@ document.addEventListener("DOMContentLoaded", () => {
   const addNurseBtn = document.getElementById("add-nurse-btn");
   const newNurseNameEl = document.getElementById("new-nurse-name");
   const newNurseGroupEl = document.getElementById("new-nurse-group");
+  const newNurseStartEl = document.getElementById("new-nurse-start");
   const nurseManageListEl = document.getElementById("nurse-manage-list");
+  const nurseArchivedListEl = document.getElementById("nurse-archived-list");
+  const nurseSearchEl = document.getElementById("nurse-search");
+  const nurseWardFilterEl = document.getElementById("nurse-ward-filter");
+  const nurseQualificationFilterEl = document.getElementById(
+    "nurse-qualification-filter"
+  );
+  const nurseEditFormEl = document.getElementById("nurse-edit-form");
+  const editNurseWardsEl = document.getElementById("edit-nurse-wards");
+
+  const importModal = document.getElementById("import-modal");
+  const importRosterBtn = document.getElementById("import-roster-btn");
+  const closeImportModalBtn = document.getElementById("close-import-modal");
+  const importTitleEl = document.getElementById("import-title");
+  const importFileEl = document.getElementById("import-file");
+  const importPreviewBtn = document.getElementById("import-preview-btn");
+  const importPreviewEl = document.getElementById("import-preview");
+  const importCommitBtn = document.getElementById("import-commit-btn");
+
+  const holidayModal = document.getElementById("holiday-modal");
+  const holidayYearEl = document.getElementById("holiday-year");
+  const holidayListEl = document.getElementById("holiday-list");
+  const holidayFileEl = document.getElementById("holiday-file");
+  const holidayImportPreviewEl = document.getElementById(
+    "holiday-import-preview"
+  );
+  const holidayImportCommitBtn = document.getElementById(
+    "holiday-import-commit-btn"
+  );
+  const holidayPrefillPreviewEl = document.getElementById(
+    "holiday-prefill-preview"
+  );
+  const holidayPrefillCommitBtn = document.getElementById(
+    "holiday-prefill-commit-btn"
+  );
+
+  const swapModal = document.getElementById("swap-modal");
+  const shiftSwapsBtn = document.getElementById("shift-swaps-btn");
+  const swapPendingCountEl = document.getElementById("swap-pending-count");
+  const closeSwapModalBtn = document.getElementById("close-swap-modal");
+  const swapNurseAEl = document.getElementById("swap-nurse-a");
+  const swapDateAEl = document.getElementById("swap-date-a");
+  const swapNurseBEl = document.getElementById("swap-nurse-b");
+  const swapDateBEl = document.getElementById("swap-date-b");
+  const swapReasonEl = document.getElementById("swap-reason");
+  const addSwapBtn = document.getElementById("add-swap-btn");
+  const swapPendingListEl = document.getElementById("swap-pending-list");
+  const swapDecidedListEl = document.getElementById("swap-decided-list");
+
+  const leaveModal = document.getElementById("leave-modal");
+  const leaveRequestsBtn = document.getElementById("leave-requests-btn");
+  const leavePendingCountEl = document.getElementById("leave-pending-count");
+  const closeLeaveModalBtn = document.getElementById("close-leave-modal");
+  const leaveNurseEl = document.getElementById("leave-nurse");
+  const leaveStartEl = document.getElementById("leave-start");
+  const leaveEndEl = document.getElementById("leave-end");
+  const leaveCodeEl = document.getElementById("leave-code");
+  const leaveReasonEl = document.getElementById("leave-reason");
+  const addLeaveBtn = document.getElementById("add-leave-btn");
+  const leavePendingListEl = document.getElementById("leave-pending-list");
+  const leaveDecidedListEl = document.getElementById("leave-decided-list");
+  const balanceYearEl = document.getElementById("balance-year");
+  const entitlementNurseEl = document.getElementById("entitlement-nurse");
+  const entitlementCodeEl = document.getElementById("entitlement-code");
+  const entitlementDaysEl = document.getElementById("entitlement-days");
+  const entitlementCarryEl = document.getElementById("entitlement-carry");
+  const saveEntitlementBtn = document.getElementById("save-entitlement-btn");
+  const leaveBalanceListEl = document.getElementById("leave-balance-list");
+
+  const profileModal = document.getElementById("profile-modal");
+  const closeProfileModalBtn = document.getElementById("close-profile-modal");
+  const profileTitleEl = document.getElementById("profile-title");
+  const profileMonthEl = document.getElementById("profile-month");
+  const profileTimelineEl = document.getElementById("profile-timeline");
+  const profileStatsEl = document.getElementById("profile-stats");
+
+  const syncModal = document.getElementById("sync-modal");
+  const closeSyncModalBtn = document.getElementById("close-sync-modal");
+  const syncListEl = document.getElementById("sync-list");
+  const syncNowBtn = document.getElementById("sync-now-btn");
+
+  const wardModal = document.getElementById("ward-modal");
+  const manageWardsBtn = document.getElementById("manage-wards-btn");
+  const closeWardModalBtn = document.getElementById("close-ward-modal");
+  const addWardBtn = document.getElementById("add-ward-btn");
+  const newWardCodeEl = document.getElementById("new-ward-code");
+  const newWardNameEl = document.getElementById("new-ward-name");
+  const newWardBedsEl = document.getElementById("new-ward-beds");
+  const wardManageListEl = document.getElementById("ward-manage-list");
+  const findWardValuesBtn = document.getElementById("find-ward-values-btn");
+  const normaliseListEl = document.getElementById("normalise-list");
+  const applyNormaliseBtn = document.getElementById("apply-normalise-btn");
+
+  const generateModal = document.getElementById("generate-modal");
+  const generateRosterBtn = document.getElementById("generate-roster-btn");
+  const closeGenerateModalBtn = document.getElementById("close-generate-modal");
+  const generateTitleEl = document.getElementById("generate-title");
+  const newPatternNameEl = document.getElementById("new-pattern-name");
+  const newPatternSequenceEl = document.getElementById("new-pattern-sequence");
+  const addPatternBtn = document.getElementById("add-pattern-btn");
+  const patternListEl = document.getElementById("pattern-list");
+  const assignmentListEl = document.getElementById("assignment-list");
+  const generatePreviewBtn = document.getElementById("generate-preview-btn");
+  const generateCommitBtn = document.getElementById("generate-commit-btn");
+  const generatePreviewEl = document.getElementById("generate-preview");
+
+  const userModal = document.getElementById("user-modal");
+  const manageUsersBtn = document.getElementById("manage-users-btn");
+  const closeUserModalBtn = document.getElementById("close-user-modal");
+  const addUserBtn = document.getElementById("add-user-btn");
+  const newUsernameEl = document.getElementById("new-username");
+  const newUserPasswordEl = document.getElementById("new-user-password");
+  const newUserRoleEl = document.getElementById("new-user-role");
+  const userManageListEl = document.getElementById("user-manage-list");
+
+  // --- AUTH & API HELPERS ---
+
+  // fetch() wrapper that adds the login token and sends the user back to
+  // the login screen when the token is rejected
+  async function apiFetch(path, options = {}) {
+    const token = localStorage.getItem("authToken");
+    const headers = { ...(options.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers,
+    });
+    if (response.status === 401 && currentUser) {
+      handleLogout();
+    }
+    return response;
+  }
+
+  // Reports need the auth header, so download them as a blob
+  async function downloadReport(path, filename) {
+    try {
+      const response = await apiFetch(path);
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.details || err.error || "Download failed");
+      }
+      const blob = await response.blob();
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      console.error("Failed to download report", err);
+      alert(`Error: Could not download report. ${err.message}`);
+    }
+  }
+
+  function hasRole(minRole) {
+    return (
+      !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(minRole)
+    );
+  }
+
+  // Hides every control marked with data-min-role the user can't use
+  function applyRoleVisibility() {
+    document.querySelectorAll("[data-min-role]").forEach((el) => {
+      el.classList.toggle("hidden", !hasRole(el.dataset.minRole));
+    });
+    currentUserEl.textContent = currentUser
+      ? `${currentUser.username} (${currentUser.role})`
+      : "";
+  }
+
+  // For text from uploaded files and other users that goes into innerHTML
+  function escapeHtml(value) {
+    return String(value === null || value === undefined ? "" : value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // --- OFFLINE CACHE & SYNC ---
+
+  // IndexedDB holds the last good copy of the data the tracker needs to
+  // open offline ("cache", keyed by API path) and the roster saves made
+  // while offline ("outbox"), replayed in order once the server is back
+  let offlineDbPromise = null;
+  function openOfflineDb() {
+    if (!("indexedDB" in window)) return Promise.resolve(null);
+    if (!offlineDbPromise) {
+      offlineDbPromise = new Promise((resolve) => {
+        const request = indexedDB.open("caresync-tracker", 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore("cache");
+          request.result.createObjectStore("outbox", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error(request.error);
+          resolve(null);
+        };
+      });
+    }
+    return offlineDbPromise;
+  }
+
+  // Runs one request against an object store and resolves with its result
+  // once the transaction has committed
+  async function offlineStore(storeName, mode, action) {
+    const db = await openOfflineDb();
+    if (!db) return undefined;
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function setOffline(offline) {
+    const reconnected = isOffline && !offline;
+    isOffline = offline;
+    offlineIndicatorEl.classList.toggle("hidden", !offline);
+    if (reconnected) syncOutbox();
+  }
+
+  // GET for data the tracker needs offline: good responses are cached and
+  // the cached copy is returned when the server cannot be reached
+  async function fetchCached(path) {
+    let response;
+    try {
+      response = await apiFetch(path);
+    } catch (err) {
+      // fetch() only rejects when the request never reached the server
+      setOffline(true);
+      const cached = await offlineStore("cache", "readonly", (store) =>
+        store.get(path)
+      );
+      if (!cached) throw err;
+      return cached.data;
+    }
+    setOffline(false);
+    if (!response.ok) {
+      const err = await response.json().catch(() => ({}));
+      throw new Error(err.error || `Failed to fetch ${path}`);
+    }
+    const data = await response.json();
+    cacheData(path, data);
+    return data;
+  }
+
+  function cacheData(path, data) {
+    offlineStore("cache", "readwrite", (store) =>
+      store.put({ data, savedAt: Date.now() }, path)
+    ).catch((err) => console.error(err));
+  }
+
+  // Re-reads a day after it was saved so the copy used offline is current
+  function refreshCachedRoster(date) {
+    fetchCached(`/api/roster?date=${date}`).catch((err) => console.error(err));
+  }
+
+  async function refreshOutbox() {
+    try {
+      const items =
+        (await offlineStore("outbox", "readonly", (store) => store.getAll())) ||
+        [];
+      outboxItems = items.filter(
+        (item) => currentUser && item.username === currentUser.username
+      );
+    } catch (err) {
+      console.error(err);
+      outboxItems = [];
+    }
+    syncCountEl.textContent = outboxItems.length || "";
+    syncBtn.classList.toggle("hidden", outboxItems.length === 0);
+  }
+
+  async function queueRosterSave(kind, date, roster) {
+    // Editing the same day again replaces the queued save but keeps its
+    // baseline, so conflicts are still judged against the server's copy.
+    // The baseline holds each row's version for the server's own check.
+    const previous = outboxItems.find(
+      (item) => item.kind === kind && item.date === date
+    );
+    const item = {
+      ...(previous || {
+        username: currentUser.username,
+        kind,
+        date,
+        baseline: rosterBaseline,
+      }),
+      roster,
+      queuedAt: new Date().toISOString(),
+      status: "queued",
+      conflicts: [],
+      error: null,
+    };
+    await offlineStore("outbox", "readwrite", (store) => store.put(item));
+    await refreshOutbox();
+  }
+
+  // Sends one queued save after a three-way merge with the server's
+  // current copy of the day: rows only we changed are sent, rows only the
+  // server changed are left alone, and rows both sides changed differently
+  // are conflicts. Those park the item until the user picks a
+  // resolution ("mine" or "theirs") in the sync modal. Rows are sent with
+  // the version they were based on, so a change that lands between the
+  // merge and the save comes back as a 409 and parks the item too.
+  async function replayRosterSave(item, resolution = null) {
+    const response = await apiFetch(`/api/roster?date=${item.date}`);
+    if (!response.ok) throw new Error("Failed to fetch roster");
+    const current = new Map(
+      (await response.json()).map((nurse) => [String(nurse.nurse_id), nurse])
+    );
+
+    const entries = [];
+    const conflicts = [];
+    item.roster.forEach((entry) => {
+      const base = item.baseline[entry.nurseId] || { shift: "", ward: "" };
+      const mine = { shift: entry.shift || "", ward: entry.ward || "" };
+      const nurse = current.get(String(entry.nurseId));
+      if (!nurse) {
+        conflicts.push({ fullName: base.fullName, mine, theirs: null });
+        return;
+      }
+      const theirs = rosterValue(nurse, item.kind);
+      if (sameRosterValue(theirs, base)) {
+        entries.push({ ...entry, version: base.version });
+      } else if (
+        !sameRosterValue(mine, base) &&
+        !sameRosterValue(mine, theirs)
+      ) {
+        conflicts.push({ fullName: nurse.full_name, mine, theirs });
+        if (resolution === "mine") {
+          entries.push({
+            ...entry,
+            version: rosterRowState(nurse, item.kind).version,
+          });
+        }
+      }
+    });
+
+    if (conflicts.length > 0 && !resolution) {
+      await offlineStore("outbox", "readwrite", (store) =>
+        store.put({ ...item, status: "conflict", conflicts })
+      );
+      return;
+    }
+    if (entries.length > 0) {
+      const endpoint =
+        item.kind === "planned" ? "roster-planned" : "roster-actual";
+      const save = await apiFetch(`/api/${endpoint}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ date: item.date, roster: entries }),
+      });
+      if (save.status === 401) throw new Error("Session expired");
+      if (save.status === 409) {
+        const result = await save.json();
+        await offlineStore("outbox", "readwrite", (store) =>
+          store.put({
+            ...item,
+            status: "conflict",
+            conflicts: result.conflicts.map((c) => ({
+              fullName: current.get(String(c.nurseId)).full_name,
+              mine: { shift: c.yourShift || "", ward: c.yourWard || "" },
+              theirs: {
+                shift: c.currentShift || "",
+                ward: c.currentWard || "",
+              },
+            })),
+          })
+        );
+        return;
+      }
+      if (!save.ok) {
+        const err = await save.json().catch(() => ({}));
+        const reasons = err.violations
+          ? err.violations.map((v) => v.message)
+          : Array.isArray(err.details)
+          ? err.details.map((d) => `${d.field}: ${d.error}`)
+          : [];
+        await offlineStore("outbox", "readwrite", (store) =>
+          store.put({
+            ...item,
+            status: "failed",
+            error: [err.error || "Failed to save", ...reasons].join("; "),
+          })
+        );
+        return;
+      }
+    }
+    await offlineStore("outbox", "readwrite", (store) => store.delete(item.id));
+    refreshCachedRoster(item.date);
+  }
+
+  async function syncOutbox() {
+    if (syncing || !currentUser) return;
+    syncing = true;
+    try {
+      await refreshOutbox();
+      for (const item of outboxItems) {
+        if (item.status === "queued") await replayRosterSave(item);
+      }
+    } catch (err) {
+      // Whatever is left stays queued for the next attempt
+      console.error(err);
+      if (err instanceof TypeError) setOffline(true);
+    } finally {
+      syncing = false;
+    }
+    await refreshOutbox();
+    if (syncModal.style.display === "block") renderSyncList();
+    renderCalendar();
+  }
+
+  function renderSyncItem(item) {
+    const what = `${
+      item.kind === "planned" ? "Planned" : "Actual"
+    } roster for ${item.date} (saved offline ${new Date(
+      item.queuedAt
+    ).toLocaleString()})`;
+    const conflicts = item.conflicts
+      .map(
+        (c) =>
+          `<li>${c.fullName}: yours ${formatAuditValue(
+            c.mine.shift,
+            c.mine.ward
+          )}, server ${
+            c.theirs
+              ? formatAuditValue(c.theirs.shift, c.theirs.ward)
+              : "nurse removed"
+          }</li>`
+      )
+      .join("");
+    let actions = "";
+    if (item.status === "conflict") {
+      actions = `
+               <button class="approve-btn" data-id="${item.id}" data-action="mine">Keep Mine</button>
+               <button class="keep-server-btn" data-id="${item.id}" data-action="theirs">Keep Server</button>`;
+    } else if (item.status === "failed") {
+      actions = `<button class="approve-btn" data-id="${item.id}" data-action="retry">Retry</button>`;
+    }
+    return `
+            <div class="nurse-list-item request-item">
+                <div>
+                    ${what}
+                    <span class="decision-status ${item.status}">${
+      item.status === "queued" ? "waiting" : item.status
+    }</span>
+                    ${item.error ? `<div>${item.error}</div>` : ""}
+                    ${
+                      conflicts
+                        ? `<ul class="sync-conflicts">${conflicts}</ul>`
+                        : ""
+                    }
+                </div>
+                <div class="decision-actions">
+                    ${actions}
+                    <button class="reject-btn" data-id="${
+                      item.id
+                    }" data-action="discard">Discard</button>
+                </div>
+            </div>
+        `;
+  }
+
+  function renderSyncList() {
+    syncListEl.innerHTML =
+      outboxItems.map(renderSyncItem).join("") ||
+      "<p>Everything is synced.</p>";
+  }
+
+  function openSyncModal() {
+    syncModal.style.display = "block";
+    renderSyncList();
+  }
+
+  async function handleSyncAction(e) {
+    const action = e.target.dataset.action;
+    if (!action) return;
+    const item = outboxItems.find((i) => i.id === Number(e.target.dataset.id));
+    if (!item) return;
+
+    try {
+      if (action === "discard") {
+        if (!confirm("Discard these unsynced changes?")) return;
+        await offlineStore("outbox", "readwrite", (store) =>
+          store.delete(item.id)
+        );
+      } else {
+        await replayRosterSave(item, action === "retry" ? null : action);
+      }
+    } catch (err) {
+      console.error(err);
+      alert(`Error: Could not reach the server. ${err.message}`);
+    }
+    await refreshOutbox();
+    renderSyncList();
+    renderCalendar();
+  }
+
+  async function startApp() {
+    loginScreen.style.display = "none";
+    applyRoleVisibility();
+    await Promise.all([loadShiftCodes(), loadWards(), refreshOutbox()]);
+    renderCalendar();
+    refreshPendingLeaveCount();
+    syncOutbox();
+    connectLiveUpdates();
+  }
+
+  async function handleLogin(e) {
+    e.preventDefault();
+    loginErrorEl.textContent = "";
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          username: loginUsernameEl.value,
+          password: loginPasswordEl.value,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "Login failed");
+
+      localStorage.setItem("authToken", result.token);
+      currentUser = result.user;
+      // Lets restoreSession pick the login up again while offline
+      cacheData("/api/auth/me", result.user);
+      loginPasswordEl.value = "";
+      startApp();
+    } catch (err) {
+      console.error(err);
+      loginErrorEl.textContent = err.message;
+    }
+  }
+
+  function handleLogout() {
+    if (heldLock) closeRosterModal();
+    disconnectLiveUpdates();
+    localStorage.removeItem("authToken");
+    currentUser = null;
+    // Queued saves stay for the next login; cached data does not
+    offlineStore("cache", "readwrite", (store) => store.clear()).catch((err) =>
+      console.error(err)
+    );
+    outboxItems = [];
+    syncCountEl.textContent = "";
+    syncBtn.classList.add("hidden");
+    document
+      .querySelectorAll(".modal-overlay")
+      .forEach((modal) => (modal.style.display = "none"));
+    applyRoleVisibility();
+    loginScreen.style.display = "block";
+  }
+
+  // Re-uses a saved token if the server still accepts it
+  async function restoreSession() {
+    if (!localStorage.getItem("authToken")) {
+      handleLogout();
+      return;
+    }
+    try {
+      currentUser = await fetchCached("/api/auth/me");
+      startApp();
+    } catch (err) {
+      console.error(err);
+      handleLogout();
+    }
+  }
+
+  // --- SHIFT CODE CATALOG ---
+
+  async function loadShiftCodes() {
+    try {
+      shiftCodes = await fetchCached("/api/shift-codes");
+    } catch (err) {
+      console.error(err);
+      shiftCodes = [];
+    }
+  }
+
+  function findShiftCode(code) {
+    return shiftCodes.find((c) => c.code === code);
+  }
+
+  // --- WARD MASTER DATA ---
+
+  async function loadWards() {
+    try {
+      wards = await fetchCached("/api/wards");
+    } catch (err) {
+      console.error(err);
+      wards = [];
+    }
+  }
+
+  // Options for a ward dropdown. A stored value that is not an active ward
+  // (e.g. old free text) is kept as an extra option so it isn't lost.
+  function wardOptions(currentWard = "") {
+    const active = wards.filter((w) => w.active);
+    const legacy =
+      currentWard && !active.some((w) => w.code === currentWard)
+        ? `<option value="${currentWard}">${currentWard} (unknown)</option>`
+        : "";
+    return `<option value="">-- Ward --</option>${active
+      .map((w) => `<option value="${w.code}">${w.code} (${w.name})</option>`)
+      .join("")}${legacy}`;
+  }
 
   // --- CALENDAR FUNCTIONS ---
 
-  async function fetchCalendarStatus() {
-    const monthQuery = `${currentDate.getFullYear()}-${String(
+  function getMonthQuery() {
+    return `${currentDate.getFullYear()}-${String(
       currentDate.getMonth() + 1
     ).padStart(2, "0")}`;
+  }
+
+  async function fetchCalendarStatus() {
     try {
-      const response = await fetch(
-        `https://attendancetracker-backend-04g3.onrender.com/api/roster-status?month=${monthQuery}`
+      calendarStatus = await fetchCached(
+        `/api/roster-status?month=${getMonthQuery()}`
       );
-      if (!response.ok) throw new Error("Failed to fetch status");
-      calendarStatus = await response.json();
     } catch (err) {
       console.error(err);
       calendarStatus = {};
     }
   }
 
+  async function fetchHolidays() {
+    try {
+      const holidays = await fetchCached(
+        `/api/holidays?month=${getMonthQuery()}`
+      );
+      monthHolidays = {};
+      holidays.forEach((h) => (monthHolidays[h.date] = h));
+    } catch (err) {
+      console.error(err);
+      monthHolidays = {};
+    }
+  }
+
+  async function fetchCoverage() {
+    try {
+      const response = await apiFetch(`/api/coverage?month=${getMonthQuery()}`);
+      if (!response.ok) throw new Error("Failed to fetch coverage");
+      coverageData = await response.json();
+    } catch (err) {
+      console.error(err);
+      coverageData = null;
+    }
+  }
+
+  // Small staffing badge for a calendar cell: uses the actual roster once
+  // it is logged, otherwise the plan
+  function coverageIndicator(dateString, status) {
+    if (!coverageData || (!status.planned && !status.actual)) return "";
+    const source = status.actual ? "actual" : "planned";
+    const counts = coverageData[source][dateString];
+    if (!counts) return "";
+    const short = coverageData.understaffed[source][dateString] || [];
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    if (short.length > 0) {
+      return `<div class="coverage-indicator short" title="Understaffed (${source}): ${short.join(
+        ", "
+      )}">&#9888; ${short.length}</div>`;
+    }
+    return `<div class="coverage-indicator ok" title="${total} on duty (${source}), all targets met">&#10003; ${total}</div>`;
+  }
+
+  async function fetchPendingSwaps() {
+    try {
+      const response = await apiFetch("/api/shift-swaps?status=pending");
+      if (!response.ok) throw new Error("Failed to fetch shift swaps");
+      pendingSwaps = await response.json();
+    } catch (error) {
+      console.error(error);
+      pendingSwaps = [];
+    }
+    swapPendingCountEl.textContent = pendingSwaps.length || "";
+  }
+
+  function swapIndicator(dateString) {
+    const swaps = pendingSwaps.filter(
+      (s) => s.date_a === dateString || s.date_b === dateString
+    );
+    if (swaps.length === 0) return "";
+    const names = swaps
+      .map((s) => `${s.nurse_a_name} / ${s.nurse_b_name}`)
+      .join(", ");
+    return `<div class="swap-indicator" title="Pending swap: ${names}">&#8644; ${swaps.length}</div>`;
+  }
+
   async function renderCalendar() {
-    await fetchCalendarStatus();
+    await Promise.all([
+      fetchCalendarStatus(),
+      fetchHolidays(),
+      fetchCoverage(),
+      fetchPendingSwaps(),
+    ]);
     calendarGrid.innerHTML = `
             <div class="day-header">Sun</div> <div class="day-header">Mon</div>
             <div class="day-header">Tue</div> <div class="day-header">Wed</div>
@@ -89,10 +823,20 @@ document.addEventListener("DOMContentLoaded", () => {
         "0"
       )}-${String(day).padStart(2, "0")}`;
       const status = calendarStatus[dateString] || {};
+      const holiday = monthHolidays[dateString];
 
       const cell = document.createElement("div");
       cell.className = "day-cell current-month";
       cell.dataset.date = dateString;
+      if (selectedDates.has(dateString)) cell.classList.add("selected");
+      if (holiday) {
+        cell.classList.add("holiday");
+        cell.title = `${holiday.name} (${holiday.type} holiday)`;
+      }
+      if (outboxItems.some((item) => item.date === dateString)) {
+        cell.classList.add("unsynced");
+        cell.title = "Has changes waiting to sync";
+      }
 
       if (status.planned && status.actual) {
         cell.classList.add("both");
@@ -104,6 +848,13 @@ document.addEventListener("DOMContentLoaded", () => {
 
       cell.innerHTML = `
                 <div class="day-number">${day}</div>
+                ${
+                  holiday
+                    ? `<div class="holiday-name">${escapeHtml(
+                        holiday.name
+                      )}</div>`
+                    : ""
+                }
                 <div class="day-status-dots">
                     ${
                       status.planned
@@ -116,247 +867,2946 @@ document.addEventListener("DOMContentLoaded", () => {
                         : ""
                     }
                 </div>
+                ${swapIndicator(dateString)}
+                ${coverageIndicator(dateString, status)}
+                ${lockIndicator(dateString)}
             `;
       calendarGrid.appendChild(cell);
     }
+    if (!coverageDashboardEl.classList.contains("hidden")) {
+      renderCoverageDashboard();
+    }
+  }
+
+  // --- COPY / REPEAT FUNCTIONS ---
+
+  function addDays(dateString, days) {
+    const d = new Date(`${dateString}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+  }
+
+  // The first and last day of the month `offset` months from the one shown
+  function monthBounds(offset = 0) {
+    const first = new Date(
+      Date.UTC(currentDate.getFullYear(), currentDate.getMonth() + offset, 1)
+    );
+    const last = new Date(
+      Date.UTC(
+        currentDate.getFullYear(),
+        currentDate.getMonth() + offset + 1,
+        0
+      )
+    );
+    return {
+      from: first.toISOString().slice(0, 10),
+      to: last.toISOString().slice(0, 10),
+    };
+  }
+
+  // Selected days as one range; gaps in a Ctrl-click selection are included
+  function selectionRange() {
+    const dates = [...selectedDates].sort();
+    if (dates.length === 0) return null;
+    return { from: dates[0], to: dates[dates.length - 1] };
+  }
+
+  function updateSelection() {
+    calendarGrid.querySelectorAll(".day-cell.current-month").forEach((cell) => {
+      cell.classList.toggle("selected", selectedDates.has(cell.dataset.date));
+    });
+    const range = selectionRange();
+    selectionSummaryEl.textContent = range
+      ? `Selected ${range.from} to ${range.to}.`
+      : "Ctrl/Shift-click days to select them.";
+  }
+
+  function handleDaySelection(e, date) {
+    if (e.shiftKey && selectionAnchor) {
+      const [from, to] = [selectionAnchor, date].sort();
+      for (let d = from; d <= to; d = addDays(d, 1)) selectedDates.add(d);
+    } else if (selectedDates.has(date)) {
+      selectedDates.delete(date);
+    } else {
+      selectedDates.add(date);
+    }
+    selectionAnchor = date;
+    updateSelection();
+  }
+
+  // Previews a copy, asks for confirmation, then runs it
+  async function copyRoster(range) {
+    const body = {
+      ...range,
+      source: copySourceEl.value,
+      overwrite: copyOverwriteEl.checked,
+      skipLeave: copySkipLeaveEl.checked,
+    };
+    const request = async (commit) => {
+      const response = await apiFetch("/api/roster-planned/copy", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, commit }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(rosterErrorText(result) || "Failed to copy roster");
+      }
+      return result;
+    };
+    try {
+      const preview = await request(false);
+      if (preview.entryCount === 0) {
+        alert(
+          `Nothing to copy: ${preview.skipped.existing} existing cell(s) kept, ${preview.skipped.leave} skipped for leave, ${preview.skipped.notEmployed} outside employment.`
+        );
+        return;
+      }
+      const ok = confirm(
+        `Copy ${preview.source} ${preview.sourceFrom} to ${preview.sourceTo} onto the planned roster for ${preview.targetFrom} to ${preview.targetTo}?\n\n` +
+          `${preview.entryCount} cell(s) will be written, ${preview.skipped.existing} existing cell(s) kept, ` +
+          `${preview.skipped.leave} skipped for leave, ${preview.skipped.notEmployed} outside employment.` +
+          preview.lockedBy
+            .map((l) => `\n${l.user} has ${l.date} open for editing.`)
+            .join("")
+      );
+      if (!ok) return;
+      const result = await request(true);
+      alert(
+        `Copied: ${result.changed} cell(s) changed${warningSuffix(result)}.`
+      );
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error: ${err.message}`);
+    }
+  }
+
+  // Repeats the 7 days before the selection (or the shown month) across it
+  function handleCopyWeek() {
+    const target = selectionRange() || monthBounds();
+    copyRoster({
+      sourceFrom: addDays(target.from, -7),
+      sourceTo: addDays(target.from, -1),
+      targetFrom: target.from,
+      targetTo: target.to,
+    });
+  }
+
+  function handleCopyMonth() {
+    const source = monthBounds(-1);
+    const target = monthBounds();
+    copyRoster({
+      sourceFrom: source.from,
+      sourceTo: source.to,
+      targetFrom: target.from,
+      targetTo: target.to,
+    });
+  }
+
+  function handleCopySelection() {
+    const source = selectionRange();
+    if (!source || !copyTargetFromEl.value) {
+      alert("Select the days to copy and choose where to paste them.");
+      return;
+    }
+    copyRoster({
+      sourceFrom: source.from,
+      sourceTo: source.to,
+      targetFrom: copyTargetFromEl.value,
+      targetTo: copyTargetToEl.value || undefined,
+    });
+  }
+
+  // --- COVERAGE DASHBOARD ---
+
+  // Heatmap of ward/shift slots (rows) by day (columns)
+  function renderCoverageDashboard() {
+    if (!coverageData) {
+      coverageGridEl.innerHTML = "<p>Error loading coverage.</p>";
+      return;
+    }
+    const source = coverageSourceEl.value;
+    const counts = coverageData[source];
+    const short = coverageData.understaffed[source];
+    if (coverageData.slots.length === 0) {
+      coverageGridEl.innerHTML = "<p>No staff with a ward this month.</p>";
+      return;
+    }
+
+    let header = "<th>Ward / Shift</th><th>Target</th>";
+    for (let day = 1; day <= coverageData.daysInMonth; day++) {
+      header += `<th>${day}</th>`;
+    }
+    const rows = coverageData.slots
+      .map((slot) => {
+        let cells = `<td>${slot.ward} &middot; ${slot.shift}</td><td>${
+          slot.target !== null ? slot.target : "&ndash;"
+        }</td>`;
+        for (let day = 1; day <= coverageData.daysInMonth; day++) {
+          const date = `${coverageData.month}-${String(day).padStart(2, "0")}`;
+          const count = (counts[date] && counts[date][slot.key]) || 0;
+          let className = "";
+          if (short[date] && short[date].includes(slot.key)) {
+            className = "cov-short";
+          } else if (slot.target !== null && count >= slot.target) {
+            className = "cov-ok";
+          } else if (count > 0) {
+            className = "cov-staffed";
+          }
+          cells += `<td class="${className}">${count || ""}</td>`;
+        }
+        return `<tr>${cells}</tr>`;
+      })
+      .join("");
+    coverageGridEl.innerHTML = `<table class="preview-grid coverage-grid"><tr>${header}</tr>${rows}</table>`;
+  }
+
+  // Targets are the min_headcount rule's requirements
+  async function loadCoverageTargets() {
+    coverageTargetsEl.innerHTML = "Loading...";
+    try {
+      const response = await apiFetch("/api/rules");
+      if (!response.ok) throw new Error("Failed to fetch rules");
+      const rules = await response.json();
+      headcountRule = rules.find((r) => r.rule_key === "min_headcount");
+      coverageTargetsEl.innerHTML = "";
+      const requirements = headcountRule
+        ? headcountRule.params.requirements || []
+        : [];
+      requirements.forEach((req) => addTargetRow(req));
+    } catch (err) {
+      console.error(err);
+      coverageTargetsEl.innerHTML = "<p>Error loading targets.</p>";
+    }
+  }
+
+  function addTargetRow(req = { ward: "*", shift: "", min: 1 }) {
+    const workCodes = shiftCodes.filter((c) => c.category === "work");
+    const row = document.createElement("div");
+    row.className = "assignment-row target-row";
+    row.innerHTML = `
+            <select class="target-ward">
+                <option value="*">Every staffed ward</option>
+                ${wards
+                  .map((w) => `<option value="${w.code}">${w.code}</option>`)
+                  .join("")}
+            </select>
+            <select class="target-shift">
+                ${workCodes
+                  .map((c) => `<option value="${c.code}">${c.code}</option>`)
+                  .join("")}
+            </select>
+            <input type="number" class="offset-input target-min" min="0" />
+            <button class="delete-nurse-btn" title="Remove">&times;</button>
+        `;
+    row.querySelector(".target-ward").value = req.ward;
+    if (req.shift) row.querySelector(".target-shift").value = req.shift;
+    row.querySelector(".target-min").value = req.min;
+    row.querySelectorAll("select, input, button").forEach((el) => {
+      el.disabled = !hasRole("admin");
+    });
+    coverageTargetsEl.appendChild(row);
+  }
+
+  async function handleSaveTargets() {
+    if (!headcountRule) return;
+    const requirements = [];
+    coverageTargetsEl.querySelectorAll(".target-row").forEach((row) => {
+      requirements.push({
+        ward: row.querySelector(".target-ward").value,
+        shift: row.querySelector(".target-shift").value,
+        min: Number(row.querySelector(".target-min").value) || 0,
+      });
+    });
+    try {
+      const response = await apiFetch("/api/rules/min_headcount", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          enabled: headcountRule.enabled,
+          severity: headcountRule.severity,
+          params: { ...headcountRule.params, requirements },
+        }),
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to save targets");
+      }
+      await loadCoverageTargets();
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error saving targets. ${err.message}`);
+    }
+  }
+
+  function toggleCoverageDashboard() {
+    const show = coverageDashboardEl.classList.contains("hidden");
+    coverageDashboardEl.classList.toggle("hidden", !show);
+    coverageBtn.textContent = show
+      ? "Hide Coverage Dashboard"
+      : "Coverage Dashboard";
+    if (show) {
+      loadCoverageTargets();
+      renderCoverageDashboard();
+    }
+  }
+  // --- ANALYTICS FUNCTIONS ---
+
+  const ANALYTICS_SERIES = [
+    { key: "absences", label: "Absences", color: "#dc3545" },
+    { key: "shiftChanges", label: "Shift changes", color: "#fd7e14" },
+    { key: "wardChanges", label: "Ward changes", color: "#6f42c1" },
+    { key: "extraShifts", label: "Extra shifts", color: "#28a745" },
+  ];
+  const MONTH_NAMES = [
+    "Jan",
+    "Feb",
+    "Mar",
+    "Apr",
+    "May",
+    "Jun",
+    "Jul",
+    "Aug",
+    "Sep",
+    "Oct",
+    "Nov",
+    "Dec",
+  ];
+
+  function toggleAnalyticsDashboard() {
+    const show = analyticsDashboardEl.classList.contains("hidden");
+    analyticsDashboardEl.classList.toggle("hidden", !show);
+    analyticsBtn.textContent = show ? "Hide Analytics" : "Analytics";
+    if (!show) return;
+    const selected = analyticsWardEl.value;
+    analyticsWardEl.innerHTML = `<option value="">All wards</option>${wards
+      .map((w) => `<option value="${w.code}">${w.code} (${w.name})</option>`)
+      .join("")}`;
+    analyticsWardEl.value = selected;
+    applyAnalyticsPreset();
+    loadAnalytics();
+  }
+
+  // Fills the date inputs from the preset, relative to the month shown
+  function applyAnalyticsPreset() {
+    const preset = analyticsPresetEl.value;
+    if (preset === "custom") return;
+    const year = currentDate.getFullYear();
+    let firstMonth = currentDate.getMonth() - (currentDate.getMonth() % 3);
+    let months = 3;
+    if (preset === "previous-quarter") firstMonth -= 3;
+    if (preset === "year") {
+      firstMonth = 0;
+      months = 12;
+    }
+    const first = new Date(Date.UTC(year, firstMonth, 1));
+    const last = new Date(Date.UTC(year, firstMonth + months, 0));
+    analyticsFromEl.value = first.toISOString().slice(0, 10);
+    analyticsToEl.value = last.toISOString().slice(0, 10);
+  }
+
+  async function loadAnalytics() {
+    const params = new URLSearchParams({
+      from: analyticsFromEl.value,
+      to: analyticsToEl.value,
+    });
+    const group = document.getElementById("analytics-group").value;
+    if (group) params.set("group", group);
+    if (analyticsWardEl.value) params.set("ward", analyticsWardEl.value);
+
+    const totalsEl = document.getElementById("analytics-totals");
+    totalsEl.innerHTML = "Loading...";
+    try {
+      const response = await apiFetch(`/api/analytics?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to load");
+      renderAnalytics(data);
+    } catch (err) {
+      console.error(err);
+      totalsEl.innerHTML = `<p class="import-warning">Error: ${err.message}</p>`;
+    }
+  }
+
+  function monthLabel(month) {
+    const [year, monthNum] = month.split("-");
+    return `${MONTH_NAMES[Number(monthNum) - 1]} ${year.slice(2)}`;
+  }
+
+  // Stacked bars of the change counts with the absence rate above each bar
+  function stackedBarChart(rows, label) {
+    const width = 700;
+    const height = 200;
+    const pad = 28;
+    const max = Math.max(
+      1,
+      ...rows.map((r) => ANALYTICS_SERIES.reduce((sum, s) => sum + r[s.key], 0))
+    );
+    const slot = (width - pad * 2) / Math.max(rows.length, 1);
+    const barWidth = Math.min(40, slot * 0.6);
+    const bars = rows
+      .map((r, i) => {
+        const x = pad + i * slot + (slot - barWidth) / 2;
+        let y = height - pad;
+        const parts = ANALYTICS_SERIES.map((s) => {
+          const h = (r[s.key] / max) * (height - pad * 2);
+          if (h === 0) return "";
+          y -= h;
+          return `<rect x="${x}" y="${y}" width="${barWidth}" height="${h}" fill="${
+            s.color
+          }"><title>${label(r)}: ${
+            r[s.key]
+          } ${s.label.toLowerCase()}</title></rect>`;
+        }).join("");
+        return `${parts}
+          <text x="${x + barWidth / 2}" y="${
+          height - pad + 14
+        }" class="chart-label">${label(r)}</text>
+          <text x="${x + barWidth / 2}" y="${y - 4}" class="chart-rate">${
+          r.plannedShifts > 0 ? `${r.absenceRate}%` : ""
+        }</text>`;
+      })
+      .join("");
+    return `<svg viewBox="0 0 ${width} ${height}" class="analytics-svg">
+        <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${
+      height - pad
+    }" class="chart-axis" />
+        <text x="${pad - 4}" y="${pad}" class="chart-max">${max}</text>
+        ${bars}
+      </svg>`;
+  }
+
+  function analyticsTable(headers, rows) {
+    if (rows.length === 0) return "<p>None in this range.</p>";
+    return `<table class="preview-grid analytics-table"><tr>${headers
+      .map((h) => `<th>${h}</th>`)
+      .join("")}</tr>${rows
+      .map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`)
+      .join("")}</table>`;
+  }
+
+  // Planned, absences, rate and the other changes for a group/ward row
+  function breakdownCells(r) {
+    return [
+      r.plannedShifts,
+      r.absences,
+      `${r.absenceRate}%`,
+      r.shiftChanges,
+      r.wardChanges,
+      r.extraShifts,
+    ];
+  }
+
+  function renderAnalytics(data) {
+    const t = data.totals;
+    document.getElementById("analytics-totals").innerHTML = `
+        <div><strong>${t.plannedShifts}</strong> planned shifts</div>
+        <div><strong>${t.absences}</strong> absences (${t.absenceRate}%)</div>
+        <div><strong>${t.shiftChanges}</strong> shift changes</div>
+        <div><strong>${t.wardChanges}</strong> ward changes</div>
+        <div><strong>${t.extraShifts}</strong> extra shifts</div>
+      `;
+    document.getElementById("analytics-legend").innerHTML =
+      ANALYTICS_SERIES.map(
+        (s) =>
+          `<span><i style="background-color: ${s.color}"></i> ${s.label}</span>`
+      ).join("");
+    document.getElementById("analytics-trend").innerHTML = stackedBarChart(
+      data.byMonth,
+      (r) => monthLabel(r.month)
+    );
+    document.getElementById("analytics-weekday").innerHTML = stackedBarChart(
+      data.byWeekday,
+      (r) => r.weekday
+    );
+
+    document.getElementById("analytics-absentees").innerHTML = analyticsTable(
+      ["Nurse", "Group", "Absences", "Planned", "Rate", "Reasons"],
+      data.topAbsentees.map((n) => [
+        `<a class="nurse-profile-link" data-id="${n.nurseId}">${n.fullName}</a>`,
+        n.groupId,
+        n.absences,
+        n.plannedShifts,
+        `${n.absenceRate}%`,
+        Object.entries(n.reasons)
+          .map(([code, count]) => `${code} ${count}`)
+          .join(", "),
+      ])
+    );
+    document.getElementById("analytics-reasons").innerHTML = analyticsTable(
+      ["Code", "Reason", "Absences"],
+      data.byReason.map((r) => [r.code, r.label, r.count])
+    );
+    const breakdownHeaders = [
+      "Planned",
+      "Absences",
+      "Rate",
+      "Shift Chg.",
+      "Ward Chg.",
+      "Extra",
+    ];
+    document.getElementById("analytics-groups").innerHTML = analyticsTable(
+      ["Group", ...breakdownHeaders],
+      data.byGroup.map((g) => [g.group, ...breakdownCells(g)])
+    );
+    document.getElementById("analytics-wards").innerHTML = analyticsTable(
+      ["Ward", ...breakdownHeaders],
+      data.byWard.map((w) => [w.ward || "No ward", ...breakdownCells(w)])
+    );
+    document.getElementById("analytics-shift-changes").innerHTML =
+      analyticsTable(
+        ["Planned", "Worked", "Times"],
+        data.shiftChanges.map((c) => [c.from, c.to, c.count])
+      );
+    document.getElementById("analytics-ward-changes").innerHTML =
+      analyticsTable(
+        ["Planned", "Worked", "Times"],
+        data.wardChanges.map((c) => [c.from, c.to, c.count])
+      );
+  }
+
+  // --- ROSTER MODAL FUNCTIONS ---
+
+  function toggleWardInput(shiftSelect, wardInput) {
+    const code = findShiftCode(shiftSelect.value);
+    const needsWard = !!code && code.requires_ward;
+    wardInput.classList.toggle("hidden", !needsWard);
+    if (!needsWard) wardInput.value = "";
+  }
+
+  // Warns under a nurse row when the chosen leave code has no days left.
+  // The balance already counts the saved roster, so only changes matter.
+  // Warns when the chosen ward is not one the nurse is credentialed for.
+  // Nurses without any credentials on record are not checked.
+  function showWardWarning(row, nurse) {
+    const existing = rosterListEl.querySelector(
+      `.ward-warning[data-nurse-id="${nurse.nurse_id}"]`
+    );
+    if (existing) existing.remove();
+    const ward = row.querySelector(".ward-input").value;
+    const allowed = nurse.wards || [];
+    if (!ward || allowed.length === 0 || allowed.includes(ward)) return;
+
+    const warning = document.createElement("div");
+    warning.className = "balance-warning ward-warning";
+    warning.dataset.nurseId = nurse.nurse_id;
+    warning.innerHTML = `&#9888; ${
+      nurse.full_name
+    } is not credentialed for ${ward} (only ${allowed.join(", ")}).`;
+    row.after(warning);
+  }
+
+  function showBalanceWarning(row, balances, savedShift) {
+    const nurseId = row.dataset.nurseId;
+    const existing = rosterListEl.querySelector(
+      `.balance-warning[data-nurse-id="${nurseId}"]`
+    );
+    if (existing) existing.remove();
+    const shift = row.querySelector(".shift-select").value;
+    const balance = balances[`${nurseId}|${shift}`];
+    if (!balance || shift === savedShift || balance.remaining > 0) return;
+
+    const warning = document.createElement("div");
+    warning.className = "balance-warning";
+    warning.dataset.nurseId = nurseId;
+    warning.innerHTML = `&#9888; ${balance.fullName} has ${balance.remaining} ${shift} day(s) left for ${balance.year}; this would overdraw the balance.`;
+    row.after(warning);
+  }
+
+  async function openRosterModal(date) {
+    modalDateEl.textContent = `Edit ${currentMode} Roster: ${date}`;
+    rosterModal.dataset.editingDate = date;
+    showRosterHistory(false);
+    renderLockNote();
+
+    let rosterData;
+    try {
+      rosterData = await fetchCached(`/api/roster?date=${date}`);
+    } catch (err) {
+      alert("Error fetching roster data. See console.");
+      console.error(err);
+      return;
+    }
+    const queued = outboxItems.find(
+      (item) => item.kind === currentMode && item.date === date
+    );
+
+    const balances = {};
+    try {
+      (await fetchLeaveBalances(date.slice(0, 4))).forEach(
+        (b) => (balances[`${b.nurseId}|${b.leaveCode}`] = b)
+      );
+    } catch (err) {
+      // Balances are only used for warnings, so the modal still opens
+      console.error(err);
+    }
+
+    rosterListEl.innerHTML = queued
+      ? `<div class="unsynced-note">Showing changes saved offline on ${new Date(
+          queued.queuedAt
+        ).toLocaleString()} that are not synced yet.</div>`
+      : "";
+    rosterBaseline = {};
+    let currentGroup = 0;
+    let groupEl;
+
+    rosterData.forEach((nurse) => {
+      if (nurse.group_id !== currentGroup) {
+        currentGroup = nurse.group_id;
+        groupEl = document.createElement("div");
+        groupEl.className = "nurse-group";
+        rosterListEl.appendChild(groupEl);
+      }
+
+      const saved = rosterValue(nurse, currentMode);
+      rosterBaseline[nurse.nurse_id] = {
+        fullName: nurse.full_name,
+        ...saved,
+        ...rosterRowState(nurse, currentMode),
+      };
+      const queuedEntry =
+        queued &&
+        queued.roster.find((e) => String(e.nurseId) === String(nurse.nurse_id));
+      const currentShift = queuedEntry ? queuedEntry.shift : saved.shift;
+      const currentWard = queuedEntry ? queuedEntry.ward : saved.ward;
+
+      const row = document.createElement("div");
+      row.className = "nurse-row";
+      row.dataset.nurseId = nurse.nurse_id;
+
+      row.innerHTML = `
+                <label>${nurse.full_name}</label>
+                <select class="shift-select">
+                    <option value="">-- Select --</option>
+                    ${shiftCodes
+                      .map(
+                        (code) =>
+                          `<option value="${code.code}">${code.code} (${code.label})</option>`
+                      )
+                      .join("")}
+                </select>
+                <select class="ward-input">${wardOptions(currentWard)}</select>
+            `;
+
+      const shiftSelect = row.querySelector(".shift-select");
+      const wardInput = row.querySelector(".ward-input");
+
+      shiftSelect.value = currentShift;
+      wardInput.value = currentWard;
+
+      shiftSelect.addEventListener("change", () => {
+        toggleWardInput(shiftSelect, wardInput);
+        showBalanceWarning(row, balances, currentShift);
+        showWardWarning(row, nurse);
+      });
+      wardInput.addEventListener("change", () => showWardWarning(row, nurse));
+      toggleWardInput(shiftSelect, wardInput);
+      if (!hasRole("manager")) {
+        shiftSelect.disabled = true;
+        wardInput.disabled = true;
+      }
+      groupEl.appendChild(row);
+      showWardWarning(row, nurse);
+    });
+
+    rosterModal.style.display = "block";
+    if (hasRole("manager") && !isOffline) {
+      heldLock = { kind: currentMode, date };
+      takeRosterLock();
+      lockRefreshTimer = setInterval(takeRosterLock, 60 * 1000);
+    }
+  }
+
+  function closeRosterModal() {
+    rosterModal.style.display = "none";
+    clearInterval(lockRefreshTimer);
+    lockRefreshTimer = null;
+    if (!heldLock) return;
+    apiFetch(`/api/roster-locks/${heldLock.kind}/${heldLock.date}`, {
+      method: "DELETE",
+    }).catch((err) => console.error(err));
+    heldLock = null;
+  }
+
+  // What the roster modal shows for a nurse; the actual roster starts from
+  // the planned shift until something else is logged
+  function rosterValue(nurse, kind) {
+    if (kind === "planned") {
+      return {
+        shift: nurse.planned_shift || "",
+        ward: nurse.planned_ward || "",
+      };
+    }
+    return {
+      shift: nurse.actual_shift || nurse.planned_shift || "",
+      ward: nurse.actual_ward || nurse.planned_ward || "",
+    };
+  }
+
+  function sameRosterValue(a, b) {
+    return a.shift === b.shift && a.ward === b.ward;
+  }
+
+  // The stored row behind the value: its version (0 when there is none),
+  // which the server checks on save to catch concurrent edits
+  function rosterRowState(nurse, kind) {
+    const version = Number(nurse[`${kind}_version`]) || 0;
+    return { version, logged: version > 0 };
+  }
+
+  // The rows a save sends, each with the version it was loaded at: edited
+  // rows, plus actual rows still showing the plan, as saving confirms them
+  function collectRosterChanges() {
+    return collectRosterPayload()
+      .filter((entry) => {
+        const base = rosterBaseline[entry.nurseId];
+        return (
+          !sameRosterValue(entry, base) ||
+          (!base.logged && !!(entry.shift || entry.ward))
+        );
+      })
+      .map((entry) => ({
+        ...entry,
+        version: rosterBaseline[entry.nurseId].version,
+      }));
+  }
+
+  function collectRosterPayload() {
+    const rosterPayload = [];
+    rosterListEl.querySelectorAll(".nurse-row").forEach((row) => {
+      rosterPayload.push({
+        nurseId: row.dataset.nurseId,
+        shift: row.querySelector(".shift-select").value,
+        ward: row.querySelector(".ward-input").value,
+      });
+    });
+    return rosterPayload;
+  }
+
+  // Shows rule violations under the affected nurse rows; day-wide ones
+  // (like ward headcount) go in a banner at the top of the list
+  function showViolations(violations) {
+    rosterListEl
+      .querySelectorAll(".row-violations, .roster-violations")
+      .forEach((el) => el.remove());
+    if (violations.length === 0) return;
+
+    const render = (list) =>
+      list
+        .map(
+          (v) =>
+            `<div class="violation ${v.severity}">${
+              v.severity === "hard" ? "&#9940;" : "&#9888;"
+            } ${v.message}</div>`
+        )
+        .join("");
+
+    const dayWide = violations.filter((v) => !v.nurseId);
+    if (dayWide.length > 0) {
+      const banner = document.createElement("div");
+      banner.className = "roster-violations";
+      banner.innerHTML = render(dayWide);
+      rosterListEl.prepend(banner);
+    }
+    rosterListEl.querySelectorAll(".nurse-row").forEach((row) => {
+      const own = violations.filter(
+        (v) => String(v.nurseId) === row.dataset.nurseId
+      );
+      if (own.length === 0) return;
+      const box = document.createElement("div");
+      box.className = "row-violations";
+      box.innerHTML = render(own);
+      row.after(box);
+    });
+  }
+
+  // Error text for a bulk roster write that was refused: the first few
+  // per-entry errors (400), hard rule violations (422) or cells changed by
+  // someone else meanwhile (409) are listed
+  function rosterErrorText(result) {
+    const lines = Array.isArray(result.details)
+      ? result.details.map((d) => `${d.date || ""} ${d.error}`.trim())
+      : (result.violations || [])
+          .map((v) => v.message)
+          .concat(
+            (result.conflicts || []).map(
+              (c) =>
+                `${c.date}: changed by ${
+                  c.changedBy || "someone else"
+                } meanwhile`
+            )
+          );
+    if (lines.length === 0) return result.details || result.error;
+    const more = lines.length > 5 ? `\n...and ${lines.length - 5} more` : "";
+    return `${result.error}:\n${lines.slice(0, 5).join("\n")}${more}`;
+  }
+
+  function warningSuffix(result) {
+    const count = result.warnings ? result.warnings.length : 0;
+    return count > 0 ? ` with ${count} rule warning(s)` : "";
+  }
+
+  async function handleCheckRules() {
+    try {
+      const response = await apiFetch("/api/roster/validate", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          kind: currentMode,
+          date: rosterModal.dataset.editingDate,
+          roster: collectRosterPayload(),
+        }),
+      });
+      if (!response.ok) throw new Error("Failed to check rules");
+      const violations = await response.json();
+      showViolations(violations);
+      if (violations.length === 0) alert("No rule violations found.");
+    } catch (err) {
+      console.error(err);
+      alert(`Error: Could not check rules. ${err.message}`);
+    }
+  }
+
+  async function handleSaveRoster() {
+    const date = rosterModal.dataset.editingDate;
+    const rosterPayload = collectRosterPayload();
+    const changes = collectRosterChanges();
+
+    const endpoint =
+      currentMode === "planned" ? "roster-planned" : "roster-actual";
+
+    try {
+      let response;
+      try {
+        response = await apiFetch(`/api/${endpoint}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ date: date, roster: changes }),
+        });
+      } catch (networkErr) {
+        // No connection: keep the save on this device until it can be sent
+        console.error(networkErr);
+        setOffline(true);
+        await queueRosterSave(currentMode, date, rosterPayload);
+        renderCalendar();
+        alert(
+          "You are offline. The roster was kept on this device and will be saved when the connection returns."
+        );
+        closeRosterModal();
+        return;
+      }
+
+      if (response.status === 409) {
+        const result = await response.json();
+        // Re-base the rows on the server's copy, so saving again is a
+        // deliberate overwrite rather than another conflict
+        result.conflicts.forEach((c) => {
+          Object.assign(rosterBaseline[c.nurseId], {
+            shift: c.currentShift || "",
+            ward: c.currentWard || "",
+            version: c.version,
+            logged: c.version > 0,
+          });
+        });
+        showViolations(
+          result.conflicts.map((c) => ({
+            nurseId: c.nurseId,
+            severity: "hard",
+            message: `${
+              c.changedBy || "Someone else"
+            } changed this to ${formatAuditValue(
+              c.currentShift,
+              c.currentWard
+            )} while you were editing. Save again to replace it with yours.`,
+          }))
+        );
+        alert(
+          `Not saved: ${result.conflicts.length} row(s) were changed by someone else in the meantime.`
+        );
+        return;
+      }
+
+      if (response.status === 422) {
+        const result = await response.json();
+        showViolations([...result.violations, ...result.warnings]);
+        alert(
+          `Not saved: ${result.violations.length} rule violation(s) must be fixed first.`
+        );
+        return;
+      }
+      if (!response.ok) {
+        const err = await response.json();
+        // Per-entry validation errors are shown under the nurse rows
+        if (Array.isArray(err.details)) {
+          showViolations(
+            err.details.map((d) => ({
+              nurseId: d.nurseId,
+              severity: "hard",
+              message: `${d.field}: ${d.error}`,
+            }))
+          );
+          alert(`Not saved: ${err.error}.`);
+          return;
+        }
+        throw new Error(err.details || err.error || "Failed to save");
+      }
+
+      const result = await response.json();
+      changes.forEach((entry) => {
+        const saved = result.versions.find(
+          (v) => String(v.nurseId) === entry.nurseId
+        );
+        Object.assign(rosterBaseline[entry.nurseId], {
+          shift: entry.shift,
+          ward: entry.ward,
+          logged: true,
+          ...(saved ? { version: saved.version } : {}),
+        });
+      });
+      rosterListEl
+        .querySelectorAll(".remote-change")
+        .forEach((el) => el.remove());
+      renderCalendar();
+      refreshCachedRoster(date);
+      if (result.warnings && result.warnings.length > 0) {
+        // Keep the modal open so the warnings can be read
+        showViolations(result.warnings);
+        alert(`Roster Saved with ${result.warnings.length} warning(s).`);
+        return;
+      }
+      alert("Roster Saved!");
+      closeRosterModal();
+    } catch (err) {
+      console.error("Failed to save roster", err);
+      alert(`Error: Could not save roster. ${err.message}`);
+    }
+  }
+
+  // Switches the roster modal between the edit list and the change log
+  function showRosterHistory(show) {
+    rosterHistoryEl.classList.toggle("hidden", !show);
+    rosterListEl.classList.toggle("hidden", show);
+    rosterHistoryBtn.textContent = show ? "Back to Roster" : "History";
+    saveRosterBtn.classList.toggle("hidden", show || !hasRole("manager"));
+    checkRulesBtn.classList.toggle("hidden", show || !hasRole("manager"));
+  }
+
+  function formatAuditValue(shift, ward) {
+    if (!shift && !ward) return "&mdash;";
+    return ward ? `${shift || ""} @ ${ward}` : shift;
+  }
+
+  async function loadRosterHistory() {
+    const date = rosterModal.dataset.editingDate;
+    rosterHistoryEl.innerHTML = "Loading...";
+    try {
+      const response = await apiFetch(`/api/audit?date=${date}`);
+      if (!response.ok) throw new Error("Failed to fetch history");
+      const entries = await response.json();
+
+      if (entries.length === 0) {
+        rosterHistoryEl.innerHTML = "<p>No changes recorded for this day.</p>";
+        return;
+      }
+      rosterHistoryEl.innerHTML = `
+                <table class="history-table">
+                    <tr><th>When</th><th>Nurse</th><th>Roster</th><th>Change</th><th>By</th></tr>
+                    ${entries
+                      .map(
+                        (e) => `
+                    <tr>
+                        <td>${new Date(e.changed_at).toLocaleString()}</td>
+                        <td>${e.nurse_name || `#${e.nurse_id}`}</td>
+                        <td>${e.roster}</td>
+                        <td>${formatAuditValue(
+                          e.old_shift,
+                          e.old_ward
+                        )} &rarr; ${formatAuditValue(
+                          e.new_shift,
+                          e.new_ward
+                        )}</td>
+                        <td>${e.changed_by || "unknown"}</td>
+                    </tr>`
+                      )
+                      .join("")}
+                </table>
+            `;
+    } catch (err) {
+      console.error(err);
+      rosterHistoryEl.innerHTML = "<p>Error loading history.</p>";
+    }
+  }
+
+  function handleToggleHistory() {
+    const show = rosterHistoryEl.classList.contains("hidden");
+    showRosterHistory(show);
+    if (show) loadRosterHistory();
+  }
+
+  // --- LIVE UPDATES ---
+
+  // Listens to the server's event stream so saves, nurse changes and day
+  // locks from other users show up without reloading. EventSource can't
+  // send headers, so the token goes in the URL; it reconnects by itself.
+  function connectLiveUpdates() {
+    disconnectLiveUpdates();
+    const token = localStorage.getItem("authToken");
+    if (!token || !("EventSource" in window)) return;
+    eventSource = new EventSource(
+      `${API_BASE}/api/events?token=${encodeURIComponent(token)}`
+    );
+    const on = (type, handler) =>
+      eventSource.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+    on("roster", handleRosterEvent);
+    on("nurses", () => {
+      if (nurseModal.style.display === "block") loadNurses();
+    });
+    // Sent on every (re)connect, so missed lock events don't linger
+    on("locks", (locks) => {
+      rosterLocks = {};
+      locks.forEach(
+        (lock) => (rosterLocks[`${lock.kind}|${lock.date}`] = lock)
+      );
+      renderLockIndicators();
+    });
+    on("lock", (lock) => {
+      rosterLocks[`${lock.kind}|${lock.date}`] = lock;
+      renderLockIndicators();
+    });
+    on("unlock", (lock) => {
+      delete rosterLocks[`${lock.kind}|${lock.date}`];
+      renderLockIndicators();
+    });
+  }
+
+  function disconnectLiveUpdates() {
+    if (eventSource) eventSource.close();
+    eventSource = null;
+    rosterLocks = {};
+  }
+
+  // A roster save touched some days. Copies and generated rosters touch
+  // many at once, so the calendar redraw waits for the burst to settle.
+  function handleRosterEvent(change) {
+    if (change.dates.some((date) => date.startsWith(getMonthQuery()))) {
+      clearTimeout(liveRefreshTimer);
+      liveRefreshTimer = setTimeout(renderCalendar, 300);
+    }
+    const date = rosterModal.dataset.editingDate;
+    if (rosterModal.style.display === "block" && change.dates.includes(date)) {
+      refreshOpenRoster(date, change.by);
+    }
+  }
+
+  // Brings the open roster modal up to date. Rows still showing what was
+  // loaded take the new value; rows the user has edited keep the edit and
+  // get a note, and saving them will report the conflict.
+  async function refreshOpenRoster(date, by) {
+    let rosterData;
+    try {
+      const response = await apiFetch(`/api/roster?date=${date}`);
+      if (!response.ok) throw new Error("Failed to fetch roster");
+      rosterData = await response.json();
+    } catch (err) {
+      console.error(err);
+      return;
+    }
+    if (rosterModal.dataset.editingDate !== date) return;
+
+    rosterData.forEach((nurse) => {
+      const row = rosterListEl.querySelector(
+        `.nurse-row[data-nurse-id="${nurse.nurse_id}"]`
+      );
+      const base = rosterBaseline[nurse.nurse_id];
+      if (!row || !base) return;
+      const theirs = rosterValue(nurse, currentMode);
+      const state = rosterRowState(nurse, currentMode);
+      if (sameRosterValue(theirs, base) && state.version === base.version) {
+        return;
+      }
+      const shiftSelect = row.querySelector(".shift-select");
+      const wardInput = row.querySelector(".ward-input");
+      const mine = { shift: shiftSelect.value, ward: wardInput.value };
+      const note = rosterListEl.querySelector(
+        `.remote-change[data-nurse-id="${nurse.nurse_id}"]`
+      );
+      if (note) note.remove();
+
+      if (sameRosterValue(mine, base) || sameRosterValue(mine, theirs)) {
+        if (!sameRosterValue(mine, theirs)) {
+          wardInput.innerHTML = wardOptions(theirs.ward);
+          shiftSelect.value = theirs.shift;
+          wardInput.value = theirs.ward;
+          toggleWardInput(shiftSelect, wardInput);
+          showWardWarning(row, nurse);
+        }
+        Object.assign(base, theirs, state);
+        return;
+      }
+      const warning = document.createElement("div");
+      warning.className = "balance-warning remote-change";
+      warning.dataset.nurseId = nurse.nurse_id;
+      warning.innerHTML = `&#8635; ${
+        by || "Someone else"
+      } changed this to ${formatAuditValue(
+        theirs.shift,
+        theirs.ward
+      )} while you were editing.`;
+      row.after(warning);
+    });
+  }
+
+  // Takes (or renews) the lock on the day open in the roster modal. The
+  // server answers with someone else's lock if they got there first.
+  async function takeRosterLock() {
+    if (!heldLock) return;
+    try {
+      const response = await apiFetch(
+        `/api/roster-locks/${heldLock.kind}/${heldLock.date}`,
+        { method: "PUT" }
+      );
+      if (!response.ok) throw new Error("Failed to lock the day");
+      const lock = await response.json();
+      if (!lock.mine) {
+        rosterLocks[`${lock.kind}|${lock.date}`] = lock;
+        renderLockNote();
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Another user's lock on a day in the current mode, if any
+  function otherUsersLock(date) {
+    const lock = rosterLocks[`${currentMode}|${date}`];
+    if (!lock || (currentUser && lock.user === currentUser.username)) {
+      return null;
+    }
+    return lock;
+  }
+
+  function lockIndicator(dateString) {
+    const lock = otherUsersLock(dateString);
+    if (!lock) return "";
+    return `<div class="lock-indicator" title="${lock.user} is editing the ${lock.kind} roster">&#128274; ${lock.user}</div>`;
+  }
+
+  function renderLockNote() {
+    const lock = otherUsersLock(rosterModal.dataset.editingDate);
+    rosterLockNoteEl.classList.toggle("hidden", !lock);
+    rosterLockNoteEl.innerHTML = lock
+      ? `&#128274; ${lock.user} also has this day open. Their saves appear here as they happen; rows you both change are flagged when you save.`
+      : "";
+  }
+
+  // Redraws just the lock badges, without refetching the month
+  function renderLockIndicators() {
+    calendarGrid.querySelectorAll(".day-cell[data-date]").forEach((cell) => {
+      const badge = cell.querySelector(".lock-indicator");
+      if (badge) badge.remove();
+      cell.insertAdjacentHTML("beforeend", lockIndicator(cell.dataset.date));
+    });
+    renderLockNote();
+  }
+
+  // --- NURSE MODAL FUNCTIONS ---
+
+  async function loadNurses() {
+    nurseManageListEl.innerHTML = "Loading...";
+    nurseArchivedListEl.innerHTML = "";
+    const filters = new URLSearchParams();
+    if (nurseSearchEl.value.trim())
+      filters.set("q", nurseSearchEl.value.trim());
+    if (nurseWardFilterEl.value) filters.set("ward", nurseWardFilterEl.value);
+    if (nurseQualificationFilterEl.value.trim()) {
+      filters.set("qualification", nurseQualificationFilterEl.value.trim());
+    }
+    const query = filters.toString() ? `&${filters.toString()}` : "";
+    try {
+      const [nurses, archived] = await Promise.all([
+        fetchCached(`/api/nurses?status=active${query}`),
+        fetchCached(`/api/nurses?status=archived${query}`),
+      ]);
+      managedNurses = nurses;
+
+      nurseManageListEl.innerHTML = "";
+      if (nurses.length === 0) {
+        nurseManageListEl.innerHTML = query
+          ? "<p>No nurses match the search.</p>"
+          : "<p>No nurses found. Add one above.</p>";
+      }
+
+      nurses.forEach((nurse) => {
+        const details = [
+          nurse.employee_no,
+          nurse.designation,
+          ...(nurse.qualifications || []),
+          nurse.wards && nurse.wards.length > 0
+            ? `Wards: ${nurse.wards.join(", ")}`
+            : null,
+        ].filter(Boolean);
+        const item = document.createElement("div");
+        item.className = "nurse-list-item";
+        item.innerHTML = `
+                    <span><a class="nurse-profile-link" data-id="${
+                      nurse.nurse_id
+                    }">${nurse.full_name}</a> (Group: ${nurse.group_id})${
+          nurse.start_date
+            ? ` <small>since ${nurse.start_date.slice(0, 10)}</small>`
+            : ""
+        }${
+          details.length > 0
+            ? `<div class="nurse-details">${details.join(" &middot; ")}</div>`
+            : ""
+        }</span>
+                    <div>
+                        <a class="edit-nurse-link" data-id="${
+                          nurse.nurse_id
+                        }">Edit</a>
+                        <a class="subscribe-link" data-nurse-id="${
+                          nurse.nurse_id
+                        }">Subscribe</a>
+                        <a class="move-group-link" data-id="${
+                          nurse.nurse_id
+                        }" data-group="${nurse.group_id}">Change group</a>
+                        <button class="delete-nurse-btn" data-id="${
+                          nurse.nurse_id
+                        }" title="Archive">&times;</button>
+                    </div>
+                `;
+        nurseManageListEl.appendChild(item);
+      });
+
+      if (archived.length === 0) {
+        nurseArchivedListEl.innerHTML = "<p>No archived nurses.</p>";
+      }
+      archived.forEach((nurse) => {
+        const item = document.createElement("div");
+        item.className = "nurse-list-item archived";
+        item.innerHTML = `
+                    <span><a class="nurse-profile-link" data-id="${
+                      nurse.nurse_id
+                    }">${nurse.full_name}</a> <small>left ${
+          nurse.end_date ? nurse.end_date.slice(0, 10) : "?"
+        }</small></span>
+                    <button class="reactivate-nurse-btn" data-id="${
+                      nurse.nurse_id
+                    }" data-end="${
+          nurse.end_date ? nurse.end_date.slice(0, 10) : ""
+        }">Reactivate</button>
+                `;
+        nurseArchivedListEl.appendChild(item);
+      });
+    } catch (err) {
+      console.error(err);
+      nurseManageListEl.innerHTML = "<p>Error loading nurses.</p>";
+    }
+  }
+
+  // Today in the browser's time zone, as YYYY-MM-DD
+  function localToday() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(d.getDate()).padStart(2, "0")}`;
+  }
+
+  async function handleAddNurse() {
+    const name = newNurseNameEl.value;
+    const group = newNurseGroupEl.value;
+    const startDate = newNurseStartEl.value;
+    if (!name || !group) {
+      alert("Please enter both name and group ID.");
+      return;
+    }
+
+    try {
+      const response = await apiFetch("/api/nurses", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name,
+          group,
+          startDate: startDate || undefined,
+        }),
+      });
+      if (!response.ok) throw new Error("Failed to add nurse");
+
+      newNurseNameEl.value = "";
+      newNurseGroupEl.value = "";
+      newNurseStartEl.value = "";
+      loadNurses();
+    } catch (err) {
+      console.error(err);
+      alert("Error adding nurse.");
+    }
+  }
+
+  // Archiving keeps the nurse's history; the last working day defaults to today
+  async function handleDeleteNurse(e) {
+    if (!e.target.classList.contains("delete-nurse-btn")) return;
+
+    const id = e.target.dataset.id;
+    const endDate = prompt(
+      "Archive this nurse. Last working day (YYYY-MM-DD):",
+      localToday()
+    );
+    if (endDate === null) return;
+
+    try {
+      const response = await apiFetch(`/api/nurses/${id}`, {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ endDate }),
+      });
+      const result = await response.json();
+      if (!response.ok)
+        throw new Error(result.error || "Failed to archive nurse");
+      loadNurses();
+    } catch (err) {
+      console.error(err);
+      alert(`Error archiving nurse: ${err.message}`);
+    }
+  }
+
+  async function handleReactivateNurse(e) {
+    if (!e.target.classList.contains("reactivate-nurse-btn")) return;
+
+    const startDate = prompt(
+      "First working day after returning (YYYY-MM-DD):",
+      localToday()
+    );
+    if (startDate === null) return;
+
+    try {
+      const response = await apiFetch(
+        `/api/nurses/${e.target.dataset.id}/reactivate`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ startDate }),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok)
+        throw new Error(result.error || "Failed to reactivate nurse");
+      loadNurses();
+    } catch (err) {
+      console.error(err);
+      alert(`Error reactivating nurse: ${err.message}`);
+    }
+  }
+
+  // Earlier rosters keep showing the nurse in their old group
+  async function handleMoveGroup(e) {
+    if (!e.target.classList.contains("move-group-link")) return;
+
+    const group = prompt("New group ID:", e.target.dataset.group);
+    if (group === null) return;
+    const from = prompt("In the new group from (YYYY-MM-DD):", localToday());
+    if (from === null) return;
+
+    try {
+      const response = await apiFetch(
+        `/api/nurses/${e.target.dataset.id}/group`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ group, from }),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok)
+        throw new Error(result.error || "Failed to change group");
+      loadNurses();
+    } catch (err) {
+      console.error(err);
+      alert(`Error changing group: ${err.message}`);
+    }
+  }
+  function renderNurseWardFilter() {
+    const selected = nurseWardFilterEl.value;
+    nurseWardFilterEl.innerHTML = `<option value="">All wards</option>${wards
+      .map((w) => `<option value="${w.code}">${w.code} (${w.name})</option>`)
+      .join("")}`;
+    nurseWardFilterEl.value = selected;
+  }
+
+  // Searching waits for a pause in typing
+  function handleNurseSearch() {
+    clearTimeout(nurseSearchTimer);
+    nurseSearchTimer = setTimeout(loadNurses, 300);
+  }
+
+  function openNurseEdit(e) {
+    if (!e.target.classList.contains("edit-nurse-link")) return;
+    const nurse = managedNurses.find(
+      (n) => String(n.nurse_id) === e.target.dataset.id
+    );
+    if (!nurse) return;
+
+    nurseEditFormEl.dataset.nurseId = nurse.nurse_id;
+    document.getElementById(
+      "nurse-edit-title"
+    ).textContent = `Edit ${nurse.full_name}`;
+    document.getElementById("edit-nurse-name").value = nurse.full_name;
+    document.getElementById("edit-nurse-employee-no").value =
+      nurse.employee_no || "";
+    document.getElementById("edit-nurse-designation").value =
+      nurse.designation || "";
+    document.getElementById("edit-nurse-phone").value = nurse.phone || "";
+    document.getElementById("edit-nurse-email").value = nurse.email || "";
+    document.getElementById("edit-nurse-qualifications").value = (
+      nurse.qualifications || []
+    ).join(", ");
+    editNurseWardsEl.innerHTML = wards
+      .map(
+        (w) =>
+          `<label><input type="checkbox" value="${w.code}" ${
+            (nurse.wards || []).includes(w.code) ? "checked" : ""
+          } /> ${w.code}</label>`
+      )
+      .join("");
+    nurseEditFormEl.classList.remove("hidden");
+  }
+
+  async function handleSaveNurse() {
+    const id = nurseEditFormEl.dataset.nurseId;
+    const value = (field) =>
+      document.getElementById(`edit-nurse-${field}`).value.trim();
+    const body = {
+      name: value("name"),
+      employeeNo: value("employee-no"),
+      designation: value("designation"),
+      phone: value("phone"),
+      email: value("email"),
+      qualifications: value("qualifications").split(","),
+      wards: [...editNurseWardsEl.querySelectorAll("input:checked")].map(
+        (input) => input.value
+      ),
+    };
+    if (!body.name) {
+      alert("Please enter the nurse's name.");
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/nurses/${id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "Failed to save nurse");
+      nurseEditFormEl.classList.add("hidden");
+      loadNurses();
+    } catch (err) {
+      console.error(err);
+      alert(`Error saving nurse: ${err.message}`);
+    }
+  }
+
+  // --- CALENDAR FEED FUNCTIONS ---
+
+  // Shows the .ics subscription link for a nurse or ward under its list
+  // item (creating the feed on first use); a second click hides it again
+  async function handleFeedClick(e) {
+    const link = e.target.closest(".subscribe-link");
+    if (!link) return;
+    const item = link.closest(".nurse-list-item");
+    const open = item.nextElementSibling;
+    if (open && open.classList.contains("feed-link")) {
+      open.remove();
+      return;
+    }
+
+    try {
+      const response = await apiFetch("/api/calendar-feeds", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          link.dataset.nurseId
+            ? { nurseId: link.dataset.nurseId }
+            : { ward: link.dataset.ward }
+        ),
+      });
+      const feed = await response.json();
+      if (!response.ok) throw new Error(feed.error || "Failed to create feed");
+
+      const url = `${API_BASE}${feed.path}`;
+      const box = document.createElement("div");
+      box.className = "feed-link";
+      box.innerHTML = `
+                <input type="text" readonly value="${url}" />
+                <a href="${url.replace(
+                  /^https?:/,
+                  "webcal:"
+                )}">Open in calendar app</a>
+                <button class="revoke-feed-btn" data-id="${
+                  feed.feed_id
+                }">Revoke</button>
+            `;
+      item.after(box);
+      box.querySelector("input").select();
+    } catch (err) {
+      console.error(err);
+      alert(`Error: Could not get the calendar link. ${err.message}`);
+    }
+  }
+
+  async function handleRevokeFeed(e) {
+    if (!e.target.classList.contains("revoke-feed-btn")) return;
+    if (
+      !confirm(
+        "Revoke this calendar link? Calendars subscribed to it stop updating."
+      )
+    ) {
+      return;
+    }
+    try {
+      const response = await apiFetch(
+        `/api/calendar-feeds/${e.target.dataset.id}`,
+        { method: "DELETE" }
+      );
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to revoke feed");
+      }
+      e.target.closest(".feed-link").remove();
+    } catch (err) {
+      console.error(err);
+      alert(`Error revoking calendar link. ${err.message}`);
+    }
+  }
+
+  // --- IMPORT MODAL FUNCTIONS ---
+
+  function openImportModal() {
+    importTitleEl.textContent = `Import Planned Roster: ${getMonthQuery()}`;
+    importFileEl.value = "";
+    importPreviewEl.innerHTML = "";
+    importCommitBtn.classList.add("hidden");
+    importModal.style.display = "block";
+  }
+
+  // Sends the selected file; without commit the server only returns a preview
+  async function uploadRosterFile(commit) {
+    const file = importFileEl.files[0];
+    if (!file) {
+      alert("Please choose an .xlsx or .csv file.");
+      return null;
+    }
+    const format = file.name.toLowerCase().endsWith(".csv") ? "csv" : "xlsx";
+    const response = await apiFetch(
+      `/api/roster-planned/import?month=${getMonthQuery()}&format=${format}&commit=${commit}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: file,
+      }
+    );
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(rosterErrorText(result) || "Import failed");
+    }
+    return result;
+  }
+
+  function renderImportPreview(preview) {
+    const matchedItems = preview.matched
+      .map((m) => `<li>${escapeHtml(m.name)}: ${m.cells} day(s)</li>`)
+      .join("");
+    const unmatchedItems = preview.unmatched
+      .map((u) => `<li>Row ${u.row}: ${escapeHtml(u.name)}</li>`)
+      .join("");
+    const ambiguousItems = preview.ambiguous
+      .map(
+        (a) =>
+          `<li>Row ${a.row}: ${escapeHtml(a.name)} matches ${
+            a.count
+          } nurses</li>`
+      )
+      .join("");
+    const notEmployedItems = preview.notEmployedCells
+      .map(
+        (c) =>
+          `<li>Row ${c.row} (${escapeHtml(c.name)}), day ${c.day}: ${escapeHtml(
+            c.value
+          )}</li>`
+      )
+      .join("");
+    const invalidItems = preview.invalidCells
+      .map(
+        (c) =>
+          `<li>Row ${c.row} (${escapeHtml(c.name)}), day ${
+            c.day
+          }: "${escapeHtml(c.value)}"</li>`
+      )
+      .join("");
+
+    importPreviewEl.innerHTML = `
+            <p><strong>${
+              preview.entryCount
+            }</strong> shift(s) ready to import for ${preview.month}.</p>
+            <h4>Matched nurses (${preview.matched.length})</h4>
+            <ul>${matchedItems || "<li>None</li>"}</ul>
+            ${
+              preview.unmatched.length
+                ? `<h4 class="import-warning">Unmatched names (${preview.unmatched.length}) - will be skipped</h4><ul>${unmatchedItems}</ul>`
+                : ""
+            }
+            ${
+              preview.ambiguous.length
+                ? `<h4 class="import-warning">Names shared by more than one nurse (${preview.ambiguous.length}) - will be skipped</h4><ul>${ambiguousItems}</ul>`
+                : ""
+            }
+            ${
+              preview.notEmployedCells.length
+                ? `<h4 class="import-warning">Days outside employment (${preview.notEmployedCells.length}) - will be skipped</h4><ul>${notEmployedItems}</ul>`
+                : ""
+            }
+            ${
+              preview.invalidCells.length
+                ? `<h4 class="import-warning">Invalid cells (${preview.invalidCells.length}) - will be skipped</h4><ul>${invalidItems}</ul>`
+                : ""
+            }
+        `;
+    importCommitBtn.classList.toggle("hidden", preview.entryCount === 0);
+  }
+
+  async function handleImportPreview() {
+    importCommitBtn.classList.add("hidden");
+    importPreviewEl.innerHTML = "Reading file...";
+    try {
+      const preview = await uploadRosterFile(false);
+      if (!preview) {
+        importPreviewEl.innerHTML = "";
+        return;
+      }
+      renderImportPreview(preview);
+    } catch (err) {
+      console.error(err);
+      importPreviewEl.innerHTML = `<p class="import-warning">Error: ${err.message}</p>`;
+    }
+  }
+
+  async function handleImportCommit() {
+    try {
+      const result = await uploadRosterFile(true);
+      if (!result) return;
+      alert(
+        `Imported ${result.entryCount} planned shift(s)${warningSuffix(
+          result
+        )}.`
+      );
+      importModal.style.display = "none";
+      renderCalendar();
+    } catch (err) {
+      console.error("Failed to import roster", err);
+      alert(`Error: Could not import roster. ${err.message}`);
+    }
+  }
+
+  // --- HOLIDAY FUNCTIONS ---
+
+  function openHolidayModal() {
+    holidayYearEl.value = currentDate.getFullYear();
+    holidayFileEl.value = "";
+    holidayImportPreviewEl.innerHTML = "";
+    holidayImportCommitBtn.classList.add("hidden");
+    holidayPrefillPreviewEl.innerHTML = "";
+    holidayPrefillCommitBtn.classList.add("hidden");
+    document.getElementById(
+      "holiday-prefill-title"
+    ).textContent = `Pre-fill Planned Roster: ${getMonthQuery()}`;
+    holidayModal.style.display = "block";
+    renderHolidayList();
+  }
+
+  async function renderHolidayList() {
+    holidayListEl.innerHTML = "Loading...";
+    try {
+      const response = await apiFetch(
+        `/api/holidays?year=${holidayYearEl.value}`
+      );
+      const holidays = await response.json();
+      if (!response.ok) throw new Error(holidays.error);
+      holidayListEl.innerHTML =
+        holidays.length === 0 ? "<p>No holidays for this year.</p>" : "";
+      holidays.forEach((h) => {
+        const item = document.createElement("div");
+        item.className = "nurse-list-item";
+        item.innerHTML = `
+                    <span>${h.date} - ${escapeHtml(h.name)} <small>(${
+          h.type === "festival" ? "Festival, PH" : "National, NH"
+        })</small></span>
+                    ${
+                      hasRole("admin")
+                        ? `<button class="delete-nurse-btn" data-id="${h.holiday_id}">&times;</button>`
+                        : ""
+                    }
+                `;
+        holidayListEl.appendChild(item);
+      });
+    } catch (err) {
+      console.error(err);
+      holidayListEl.innerHTML = "<p>Error loading holidays.</p>";
+    }
+  }
+
+  async function handleAddHoliday() {
+    const date = document.getElementById("new-holiday-date").value;
+    const name = document.getElementById("new-holiday-name").value.trim();
+    const type = document.getElementById("new-holiday-type").value;
+    if (!date || !name) {
+      alert("Please enter both a date and a name.");
+      return;
+    }
+    try {
+      const response = await apiFetch("/api/holidays", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ date, name, type }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "Failed to add");
+      document.getElementById("new-holiday-date").value = "";
+      document.getElementById("new-holiday-name").value = "";
+      renderHolidayList();
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error adding holiday. ${err.message}`);
+    }
+  }
+
+  async function handleDeleteHoliday(e) {
+    if (!e.target.classList.contains("delete-nurse-btn")) return;
+    if (!confirm("Delete this holiday? Planned NH/PH days are kept.")) return;
+    try {
+      const response = await apiFetch(`/api/holidays/${e.target.dataset.id}`, {
+        method: "DELETE",
+      });
+      if (!response.ok) throw new Error("Failed to delete holiday");
+      renderHolidayList();
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error: ${err.message}`);
+    }
+  }
+
+  // Sends the chosen .ics or .csv; without commit only a preview comes back
+  async function uploadHolidayFile(commit) {
+    const file = holidayFileEl.files[0];
+    if (!file) {
+      alert("Please choose an .ics or .csv file.");
+      return null;
+    }
+    const format = file.name.toLowerCase().endsWith(".ics") ? "ics" : "csv";
+    const type = document.getElementById("holiday-import-type").value;
+    const response = await apiFetch(
+      `/api/holidays/import?format=${format}&type=${type}&commit=${commit}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: file,
+      }
+    );
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.details || result.error || "Import failed");
+    }
+    return result;
+  }
+
+  async function handleHolidayImportPreview() {
+    holidayImportCommitBtn.classList.add("hidden");
+    holidayImportPreviewEl.innerHTML = "Reading file...";
+    try {
+      const preview = await uploadHolidayFile(false);
+      if (!preview) {
+        holidayImportPreviewEl.innerHTML = "";
+        return;
+      }
+      const items = preview.holidays
+        .map(
+          (h) =>
+            `<li>${h.date} - ${escapeHtml(h.name)} (${h.type})${
+              h.status === "new" ? "" : ` <em>${h.status}</em>`
+            }</li>`
+        )
+        .join("");
+      const invalidItems = preview.invalid
+        .map((i) => `<li>Line ${i.line}: ${escapeHtml(i.error)}</li>`)
+        .join("");
+      holidayImportPreviewEl.innerHTML = `
+            <p><strong>${preview.added}</strong> new and <strong>${
+        preview.updated
+      }</strong> updated holiday(s).</p>
+            <ul>${items || "<li>None</li>"}</ul>
+            ${
+              preview.invalid.length
+                ? `<h4 class="import-warning">Skipped lines (${preview.invalid.length})</h4><ul>${invalidItems}</ul>`
+                : ""
+            }
+        `;
+      holidayImportCommitBtn.classList.toggle(
+        "hidden",
+        preview.added + preview.updated === 0
+      );
+    } catch (err) {
+      console.error(err);
+      holidayImportPreviewEl.innerHTML = `<p class="import-warning">Error: ${err.message}</p>`;
+    }
+  }
+
+  async function handleHolidayImportCommit() {
+    try {
+      const result = await uploadHolidayFile(true);
+      if (!result) return;
+      alert(
+        `Imported ${result.added} new and ${result.updated} updated holiday(s).`
+      );
+      holidayImportPreviewEl.innerHTML = "";
+      holidayImportCommitBtn.classList.add("hidden");
+      renderHolidayList();
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error: Could not import holidays. ${err.message}`);
+    }
+  }
+
+  async function requestHolidayPrefill(commit) {
+    const response = await apiFetch("/api/holidays/prefill", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ month: getMonthQuery(), commit }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(rosterErrorText(result) || "Pre-fill failed");
+    }
+    return result;
+  }
+
+  async function handleHolidayPrefillPreview() {
+    holidayPrefillCommitBtn.classList.add("hidden");
+    try {
+      const preview = await requestHolidayPrefill(false);
+      const items = preview.holidays
+        .map(
+          (h) =>
+            `<li>${h.date} ${escapeHtml(h.name)}: ${h.code} for ${
+              h.nurses.length > 0 ? escapeHtml(h.nurses.join(", ")) : "nobody"
+            }</li>`
+        )
+        .join("");
+      holidayPrefillPreviewEl.innerHTML = `
+            <p><strong>${preview.entryCount}</strong> day(s) to plan for ${
+        preview.month
+      }.</p>
+            <ul>${items || "<li>No holidays this month</li>"}</ul>
+        `;
+      holidayPrefillCommitBtn.classList.toggle(
+        "hidden",
+        preview.entryCount === 0
+      );
+    } catch (err) {
+      console.error(err);
+      holidayPrefillPreviewEl.innerHTML = `<p class="import-warning">Error: ${err.message}</p>`;
+    }
+  }
+
+  async function handleHolidayPrefillCommit() {
+    try {
+      const result = await requestHolidayPrefill(true);
+      alert(
+        `Planned ${result.entryCount} holiday day(s)${warningSuffix(result)}.`
+      );
+      holidayPrefillPreviewEl.innerHTML = "";
+      holidayPrefillCommitBtn.classList.add("hidden");
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error: Could not pre-fill holidays. ${err.message}`);
+    }
+  }
+
+  // --- LEAVE REQUEST FUNCTIONS ---
+
+  async function openLeaveModal() {
+    leaveModal.style.display = "block";
+    const leaveOptions = shiftCodes
+      .filter((c) => c.category === "leave")
+      .map((c) => `<option value="${c.code}">${c.code} (${c.label})</option>`)
+      .join("");
+    leaveCodeEl.innerHTML = leaveOptions;
+    entitlementCodeEl.innerHTML = leaveOptions;
+    leaveNurseEl.innerHTML = "<option value=''>-- Nurse --</option>";
+    entitlementNurseEl.innerHTML = "<option value='all'>All nurses</option>";
+    if (!balanceYearEl.value) balanceYearEl.value = currentDate.getFullYear();
+    try {
+      const response = await apiFetch("/api/nurses");
+      if (!response.ok) throw new Error("Failed to fetch nurses");
+      const nurses = await response.json();
+      const nurseOptions = nurses
+        .map(
+          (n) =>
+            `<option value="${n.nurse_id}">${n.full_name} (Group ${n.group_id})</option>`
+        )
+        .join("");
+      leaveNurseEl.innerHTML += nurseOptions;
+      entitlementNurseEl.innerHTML += nurseOptions;
+    } catch (err) {
+      console.error(err);
+    }
+    loadLeaveRequests();
+    loadLeaveBalances();
+  }
+
+  async function fetchLeaveBalances(year) {
+    const response = await apiFetch(`/api/leave-balances?year=${year}`);
+    if (!response.ok) throw new Error("Failed to fetch leave balances");
+    return response.json();
+  }
+
+  async function loadLeaveBalances() {
+    leaveBalanceListEl.innerHTML = "Loading...";
+    try {
+      const balances = await fetchLeaveBalances(balanceYearEl.value);
+      if (balances.length === 0) {
+        leaveBalanceListEl.innerHTML =
+          "<p>No entitlements set for this year.</p>";
+        return;
+      }
+      const rows = balances
+        .map(
+          (b) => `<tr>
+                <td>${b.fullName}</td>
+                <td>${b.leaveCode}</td>
+                <td>${b.entitlement}</td>
+                <td>${b.carriedOver}</td>
+                <td>${b.taken}</td>
+                <td>${b.booked}</td>
+                <td class="${b.remaining < 0 ? "overdrawn" : ""}">${
+            b.remaining
+          }</td>
+            </tr>`
+        )
+        .join("");
+      leaveBalanceListEl.innerHTML = `
+            <table class="preview-grid leave-balances">
+                <tr><th>Nurse</th><th>Code</th><th>Entitled</th><th>Carried</th><th>Taken</th><th>Booked</th><th>Left</th></tr>
+                ${rows}
+            </table>
+        `;
+    } catch (err) {
+      console.error(err);
+      leaveBalanceListEl.innerHTML = "<p>Error loading balances.</p>";
+    }
+  }
+
+  async function handleSaveEntitlement() {
+    const nurseIds =
+      entitlementNurseEl.value === "all"
+        ? [...entitlementNurseEl.options]
+            .map((o) => o.value)
+            .filter((v) => v !== "all")
+        : [entitlementNurseEl.value];
+    if (entitlementDaysEl.value === "") {
+      alert("Please enter the number of days.");
+      return;
+    }
+    try {
+      const response = await apiFetch("/api/leave-entitlements", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          nurseIds,
+          year: Number(balanceYearEl.value),
+          leaveCode: entitlementCodeEl.value,
+          days: Number(entitlementDaysEl.value),
+          carryOverMax: Number(entitlementCarryEl.value || 0),
+        }),
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to save entitlement");
+      }
+      loadLeaveBalances();
+    } catch (err) {
+      console.error(err);
+      alert(`Error saving entitlement. ${err.message}`);
+    }
+  }
+
+  function renderLeaveItem(request) {
+    const range =
+      request.start_date === request.end_date
+        ? request.start_date
+        : `${request.start_date} to ${request.end_date}`;
+    const actions =
+      request.status === "pending"
+        ? `<div class="decision-actions">
+               <button class="approve-btn" data-id="${request.request_id}">Approve</button>
+               <button class="reject-btn" data-id="${request.request_id}">Reject</button>
+           </div>`
+        : `<span class="decision-status ${request.status}">${request.status} by ${request.decided_by}</span>`;
+    return `
+            <div class="nurse-list-item request-item">
+                <span>${escapeHtml(request.full_name)}: ${
+      request.leave_code
+    }, ${range}${
+      request.reason ? ` &ndash; ${escapeHtml(request.reason)}` : ""
+    }</span>
+                ${actions}
+            </div>
+        `;
+  }
+
+  async function loadLeaveRequests() {
+    leavePendingListEl.innerHTML = "Loading...";
+    leaveDecidedListEl.innerHTML = "";
+    try {
+      const response = await apiFetch("/api/leave-requests");
+      if (!response.ok) throw new Error("Failed to fetch leave requests");
+      const requests = await response.json();
+      const pending = requests.filter((r) => r.status === "pending");
+      const decided = requests.filter((r) => r.status !== "pending");
+
+      leavePendingListEl.innerHTML =
+        pending.map(renderLeaveItem).join("") || "<p>No pending requests.</p>";
+      leaveDecidedListEl.innerHTML =
+        decided.slice(0, 20).map(renderLeaveItem).join("") ||
+        "<p>No decided requests yet.</p>";
+      leavePendingCountEl.textContent = pending.length || "";
+    } catch (err) {
+      console.error(err);
+      leavePendingListEl.innerHTML = "<p>Error loading leave requests.</p>";
+    }
+  }
+
+  // Keeps the badge on the header button up to date
+  async function refreshPendingLeaveCount() {
+    if (!hasRole("manager")) return;
+    try {
+      const response = await apiFetch("/api/leave-requests?status=pending");
+      if (!response.ok) return;
+      const pending = await response.json();
+      leavePendingCountEl.textContent = pending.length || "";
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function handleAddLeave() {
+    const body = {
+      nurseId: leaveNurseEl.value,
+      startDate: leaveStartEl.value,
+      endDate: leaveEndEl.value || leaveStartEl.value,
+      leaveCode: leaveCodeEl.value,
+      reason: leaveReasonEl.value,
+    };
+    if (!body.nurseId || !body.startDate || !body.leaveCode) {
+      alert("Please choose a nurse, a start date and a leave type.");
+      return;
+    }
+    try {
+      const response = await apiFetch("/api/leave-requests", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to add leave request");
+      }
+      leaveStartEl.value = "";
+      leaveEndEl.value = "";
+      leaveReasonEl.value = "";
+      loadLeaveRequests();
+    } catch (err) {
+      console.error(err);
+      alert(`Error adding leave request. ${err.message}`);
+    }
+  }
+
+  async function handleLeaveDecision(e) {
+    const approve = e.target.classList.contains("approve-btn");
+    const reject = e.target.classList.contains("reject-btn");
+    if (!approve && !reject) return;
+
+    const note = prompt(
+      approve ? "Approval note (optional):" : "Reason for rejecting:"
+    );
+    if (note === null) return;
+    try {
+      const response = await apiFetch(
+        `/api/leave-requests/${e.target.dataset.id}/${
+          approve ? "approve" : "reject"
+        }`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ note }),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(rosterErrorText(result) || "Failed to decide");
+      }
+      if (approve && result.warnings && result.warnings.length > 0) {
+        alert(
+          `Approved with warnings:\n${result.warnings
+            .map((w) => w.message)
+            .join("\n")}`
+        );
+      }
+      loadLeaveRequests();
+      if (approve) renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error: ${err.message}`);
+    }
+  }
+
+  // --- NURSE PROFILE FUNCTIONS ---
+
+  function openProfileModal(nurseId) {
+    profileNurseId = nurseId;
+    profileMonth = new Date(
+      currentDate.getFullYear(),
+      currentDate.getMonth(),
+      1
+    );
+    profileModal.style.display = "block";
+    renderProfile();
+  }
+
+  function shiftCell(entry) {
+    if (!entry) return "<td></td>";
+    const code = findShiftCode(entry.shift);
+    const style =
+      code && code.color ? ` style="background-color:${code.color}"` : "";
+    const title = entry.ward ? ` title="${entry.ward}"` : "";
+    return `<td${style}${title}>${entry.shift}</td>`;
+  }
+
+  async function renderProfile() {
+    const year = profileMonth.getFullYear();
+    const month = profileMonth.getMonth();
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    const prefix = `${year}-${String(month + 1).padStart(2, "0")}`;
+    profileMonthEl.textContent = profileMonth.toLocaleString("default", {
+      month: "long",
+      year: "numeric",
+    });
+    profileTimelineEl.innerHTML = "Loading...";
+    profileStatsEl.innerHTML = "";
+    try {
+      const response = await apiFetch(
+        `/api/nurses/${profileNurseId}/summary?from=${prefix}-01&to=${prefix}-${lastDay}`
+      );
+      if (!response.ok) throw new Error("Failed to fetch nurse summary");
+      const summary = await response.json();
+      profileTitleEl.textContent = `${summary.nurse.full_name} (Group ${summary.nurse.group_id})`;
+
+      const weekdays = ["S", "M", "T", "W", "T", "F", "S"];
+      const header = summary.days
+        .map((d) => {
+          const day = Number(d.date.slice(8));
+          const weekday = weekdays[new Date(year, month, day).getDay()];
+          return `<th>${day}<br>${weekday}</th>`;
+        })
+        .join("");
+      const planned = summary.days.map((d) => shiftCell(d.planned)).join("");
+      // Highlight days that differ from the plan; red when a planned
+      // work day was not worked
+      const actual = summary.days
+        .map((d) => {
+          const cell = shiftCell(d.actual);
+          if (!d.actual || !d.planned || d.actual.shift === d.planned.shift) {
+            return cell;
+          }
+          const plannedCode = findShiftCode(d.planned.shift);
+          const actualCode = findShiftCode(d.actual.shift);
+          const deviation =
+            plannedCode &&
+            plannedCode.category === "work" &&
+            (!actualCode || actualCode.category !== "work");
+          return cell.replace(
+            "<td",
+            `<td class="changed${deviation ? " deviation" : ""}"`
+          );
+        })
+        .join("");
+      profileTimelineEl.innerHTML = `
+            <table class="preview-grid profile-timeline">
+                <tr><th></th>${header}</tr>
+                <tr><td>Planned</td>${planned}</tr>
+                <tr><td>Actual</td>${actual}</tr>
+            </table>
+        `;
+
+      const categories = (totals) =>
+        Object.entries(totals)
+          .filter(([, n]) => n > 0)
+          .map(([category, n]) => `${category}: ${n}`)
+          .join(", ") || "none";
+      const leave =
+        Object.entries(summary.leaveTaken)
+          .map(([code, n]) => `${code}: ${n}`)
+          .join(", ") || "none";
+      const card = (title, value, detail = "") => `
+            <div class="stat-card">
+                <h5>${title}</h5>
+                <div class="stat-value">${value}</div>
+                <div>${detail}</div>
+            </div>
+        `;
+      profileStatsEl.innerHTML = [
+        card(
+          "Planned",
+          summary.totals.planned.work,
+          categories(summary.totals.planned)
+        ),
+        card(
+          "Actual",
+          summary.totals.actual.work,
+          categories(summary.totals.actual)
+        ),
+        card("Nights Worked", summary.nightsWorked),
+        card(
+          "Leave Taken",
+          Object.values(summary.leaveTaken).reduce((sum, n) => sum + n, 0),
+          leave
+        ),
+        card(
+          "Deviation",
+          `${summary.deviationRate}%`,
+          `${summary.deviations} of ${summary.plannedShifts} planned shifts`
+        ),
+      ].join("");
+    } catch (err) {
+      console.error(err);
+      profileTimelineEl.innerHTML = "<p>Error loading nurse profile.</p>";
+    }
+  }
+
+  function changeProfileMonth(offset) {
+    profileMonth.setMonth(profileMonth.getMonth() + offset);
+    renderProfile();
+  }
+
+  // --- SHIFT SWAP FUNCTIONS ---
+
+  async function openSwapModal() {
+    swapModal.style.display = "block";
+    swapNurseAEl.innerHTML = "<option value=''>-- Nurse A --</option>";
+    swapNurseBEl.innerHTML = "<option value=''>-- Nurse B --</option>";
+    try {
+      const response = await apiFetch("/api/nurses");
+      if (!response.ok) throw new Error("Failed to fetch nurses");
+      const nurses = await response.json();
+      const nurseOptions = nurses
+        .map(
+          (n) =>
+            `<option value="${n.nurse_id}">${n.full_name} (Group ${n.group_id})</option>`
+        )
+        .join("");
+      swapNurseAEl.innerHTML += nurseOptions;
+      swapNurseBEl.innerHTML += nurseOptions;
+    } catch (err) {
+      console.error(err);
+    }
+    loadSwaps();
+  }
+
+  function renderSwapItem(swap) {
+    const nurseA = escapeHtml(swap.nurse_a_name);
+    const nurseB = escapeHtml(swap.nurse_b_name);
+    const dates = swap.date_b
+      ? `${nurseA} gives ${swap.date_a}, ${nurseB} gives ${swap.date_b}`
+      : `${nurseA} &harr; ${nurseB} on ${swap.date_a}`;
+    const actions =
+      swap.status === "pending"
+        ? `<div class="decision-actions">
+               <button class="approve-btn" data-id="${swap.swap_id}">Approve</button>
+               <button class="reject-btn" data-id="${swap.swap_id}">Reject</button>
+           </div>`
+        : `<span class="decision-status ${swap.status}">${swap.status} by ${swap.decided_by}</span>`;
+    return `
+            <div class="nurse-list-item request-item">
+                <span>${dates}${
+      swap.reason ? ` &ndash; ${escapeHtml(swap.reason)}` : ""
+    }</span>
+                ${actions}
+            </div>
+        `;
+  }
+
+  async function loadSwaps() {
+    swapPendingListEl.innerHTML = "Loading...";
+    swapDecidedListEl.innerHTML = "";
+    try {
+      const response = await apiFetch("/api/shift-swaps");
+      if (!response.ok) throw new Error("Failed to fetch shift swaps");
+      const swaps = await response.json();
+      const pending = swaps.filter((s) => s.status === "pending");
+      const decided = swaps.filter((s) => s.status !== "pending");
+
+      swapPendingListEl.innerHTML =
+        pending.map(renderSwapItem).join("") || "<p>No pending swaps.</p>";
+      swapDecidedListEl.innerHTML =
+        decided.slice(0, 20).map(renderSwapItem).join("") ||
+        "<p>No decided swaps yet.</p>";
+      swapPendingCountEl.textContent = pending.length || "";
+    } catch (err) {
+      console.error(err);
+      swapPendingListEl.innerHTML = "<p>Error loading shift swaps.</p>";
+    }
+  }
+
+  async function handleAddSwap() {
+    const body = {
+      nurseAId: swapNurseAEl.value,
+      nurseBId: swapNurseBEl.value,
+      dateA: swapDateAEl.value,
+      dateB: swapDateBEl.value || null,
+      reason: swapReasonEl.value,
+    };
+    if (!body.nurseAId || !body.nurseBId || !body.dateA) {
+      alert("Please choose two nurses and at least one date.");
+      return;
+    }
+    try {
+      const response = await apiFetch("/api/shift-swaps", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(
+          [err.error, ...(err.details || [])].join("\n") ||
+            "Failed to request swap"
+        );
+      }
+      swapDateAEl.value = "";
+      swapDateBEl.value = "";
+      swapReasonEl.value = "";
+      loadSwaps();
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error requesting swap. ${err.message}`);
+    }
+  }
+
+  async function handleSwapDecision(e) {
+    const approve = e.target.classList.contains("approve-btn");
+    const reject = e.target.classList.contains("reject-btn");
+    if (!approve && !reject) return;
+
+    const note = prompt(
+      approve ? "Approval note (optional):" : "Reason for rejecting:"
+    );
+    if (note === null) return;
+    try {
+      const response = await apiFetch(
+        `/api/shift-swaps/${e.target.dataset.id}/${
+          approve ? "approve" : "reject"
+        }`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ note }),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        const reasons = result.violations
+          ? result.violations.map((v) => v.message)
+          : Array.isArray(result.details)
+          ? result.details
+          : [];
+        throw new Error([result.error, ...reasons].join("\n"));
+      }
+      if (approve && result.warnings && result.warnings.length > 0) {
+        alert(
+          `Swap approved with warnings:\n${result.warnings
+            .map((w) => w.message)
+            .join("\n")}`
+        );
+      }
+      loadSwaps();
+      renderCalendar();
+    } catch (err) {
+      console.error(err);
+      alert(`Error: ${err.message}`);
+    }
+  }
+
+  // --- WARD MODAL FUNCTIONS ---
+
+  async function renderWardList() {
+    wardManageListEl.innerHTML = "Loading...";
+    await loadWards();
+    wardManageListEl.innerHTML = "";
+    if (wards.length === 0) {
+      wardManageListEl.innerHTML = "<p>No wards found. Add one above.</p>";
+      return;
+    }
+    wards.forEach((ward) => {
+      const item = document.createElement("div");
+      item.className = `nurse-list-item ${ward.active ? "" : "inactive"}`;
+      item.innerHTML = `
+                <span>${ward.code} - ${ward.name}${
+        ward.bed_count !== null ? ` (${ward.bed_count} beds)` : ""
+      }${ward.active ? "" : " [inactive]"}</span>
+                <div>
+                    <a class="subscribe-link" data-ward="${
+                      ward.code
+                    }">Subscribe</a>
+                    <button class="toggle-ward-btn" data-id="${ward.ward_id}">${
+        ward.active ? "Deactivate" : "Activate"
+      }</button>
+                    <button class="delete-nurse-btn" data-id="${
+                      ward.ward_id
+                    }">&times;</button>
+                </div>
+            `;
+      wardManageListEl.appendChild(item);
+    });
+  }
+
+  async function handleAddWard() {
+    const code = newWardCodeEl.value.trim();
+    const name = newWardNameEl.value.trim();
+    const bedCount = newWardBedsEl.value;
+    if (!code || !name) {
+      alert("Please enter both a ward code and name.");
+      return;
+    }
+    try {
+      const response = await apiFetch("/api/wards", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ code, name, bedCount }),
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to add ward");
+      }
+      newWardCodeEl.value = "";
+      newWardNameEl.value = "";
+      newWardBedsEl.value = "";
+      renderWardList();
+    } catch (err) {
+      console.error(err);
+      alert(`Error adding ward. ${err.message}`);
+    }
+  }
+
+  async function handleWardListClick(e) {
+    const id = e.target.dataset.id;
+    const ward = wards.find((w) => String(w.ward_id) === id);
+    if (!ward) return;
+
+    try {
+      let response;
+      if (e.target.classList.contains("toggle-ward-btn")) {
+        response = await apiFetch(`/api/wards/${id}`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            name: ward.name,
+            bedCount: ward.bed_count,
+            active: !ward.active,
+          }),
+        });
+      } else if (e.target.classList.contains("delete-nurse-btn")) {
+        if (!confirm(`Are you sure you want to delete ward ${ward.code}?`)) {
+          return;
+        }
+        response = await apiFetch(`/api/wards/${id}`, { method: "DELETE" });
+      } else {
+        return;
+      }
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to update ward");
+      }
+      renderWardList();
+    } catch (err) {
+      console.error(err);
+      alert(`Error updating ward. ${err.message}`);
+    }
   }
 
-  // --- ROSTER MODAL FUNCTIONS ---
+  // Lists free-text ward values with a dropdown to map each one to a ward
+  async function handleFindWardValues() {
+    normaliseListEl.innerHTML = "Loading...";
+    applyNormaliseBtn.classList.add("hidden");
+    try {
+      const response = await apiFetch("/api/wards/normalise");
+      if (!response.ok) throw new Error("Failed to fetch ward values");
+      const values = await response.json();
 
-  function toggleWardInput(shiftSelect, wardInput) {
-    // UPDATED: Added 'G' as a work shift
-    const isWorkShift = ["A", "M", "N", "G"].includes(shiftSelect.value);
-    wardInput.classList.toggle("hidden", !isWorkShift);
-    if (!isWorkShift) wardInput.value = "";
+      if (values.length === 0) {
+        normaliseListEl.innerHTML =
+          "<p>All roster wards already match a ward code.</p>";
+        return;
+      }
+      normaliseListEl.innerHTML = "";
+      values.forEach((v) => {
+        const row = document.createElement("div");
+        row.className = "assignment-row";
+        row.dataset.from = v.value;
+        row.innerHTML = `
+                    <label>"${v.value}" (${v.count} rows)</label>
+                    <select class="normalise-select">
+                        <option value="">-- Leave as is --</option>
+                        ${wards
+                          .map(
+                            (w) =>
+                              `<option value="${w.code}">${w.code} (${w.name})</option>`
+                          )
+                          .join("")}
+                    </select>
+                `;
+        row.querySelector(".normalise-select").value = v.suggestion || "";
+        normaliseListEl.appendChild(row);
+      });
+      applyNormaliseBtn.classList.remove("hidden");
+    } catch (err) {
+      console.error(err);
+      normaliseListEl.innerHTML = "<p>Error loading ward values.</p>";
+    }
   }
 
-  async function openRosterModal(date) {
-    modalDateEl.textContent = `Edit ${currentMode} Roster: ${date}`;
-    rosterModal.dataset.editingDate = date;
-
-    const response = await fetch(
-      `https://attendancetracker-backend-04g3.onrender.com/api/roster?date=${date}`
-    );
-    if (!response.ok) {
-      alert("Error fetching roster data. See console.");
-      console.error(await response.json());
+  async function handleApplyNormalise() {
+    const mappings = [];
+    normaliseListEl.querySelectorAll(".assignment-row").forEach((row) => {
+      const to = row.querySelector(".normalise-select").value;
+      if (to) mappings.push({ from: row.dataset.from, to });
+    });
+    if (mappings.length === 0) {
+      alert("Choose a ward for at least one value.");
       return;
     }
-    const rosterData = await response.json();
-
-    rosterListEl.innerHTML = "";
-    let currentGroup = 0;
-    let groupEl;
-
-    rosterData.forEach((nurse) => {
-      if (nurse.group_id !== currentGroup) {
-        currentGroup = nurse.group_id;
-        groupEl = document.createElement("div");
-        groupEl.className = "nurse-group";
-        rosterListEl.appendChild(groupEl);
+    try {
+      const response = await apiFetch("/api/wards/normalise", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ mappings }),
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to normalise wards");
       }
+      const results = await response.json();
+      const rows = results.reduce((sum, r) => sum + r.rows, 0);
+      alert(`Updated ${rows} roster row(s).`);
+      handleFindWardValues();
+    } catch (err) {
+      console.error(err);
+      alert(`Error normalising wards. ${err.message}`);
+    }
+  }
 
-      let currentShift = "";
-      let currentWard = "";
-      if (currentMode === "planned") {
-        currentShift = nurse.planned_shift || "";
-        currentWard = nurse.planned_ward || "";
-      } else {
-        currentShift = nurse.actual_shift || nurse.planned_shift || "";
-        currentWard = nurse.actual_ward || nurse.planned_ward || "";
-      }
+  // --- GENERATE MODAL FUNCTIONS ---
 
-      const row = document.createElement("div");
-      row.className = "nurse-row";
-      row.dataset.nurseId = nurse.nurse_id;
+  let rotationPatterns = [];
+  let generateVersions = []; // Row versions of the cells the preview fills
 
-      // UPDATED: Creates dropdown from the new SHIFT_CODES array
-      row.innerHTML = `
-                <label>${nurse.full_name}</label>
-                <select class="shift-select">
-                    <option value="">-- Select --</option>
-                    ${SHIFT_CODES.map(
-                      (code) =>
-                        `<option value="${code.code}">${code.full}</option>`
-                    ).join("")}
-                </select>
-                <input type="text" class="ward-input" placeholder="Enter ward..." />
-            `;
+  async function openGenerateModal() {
+    generateTitleEl.textContent = `Generate Planned Roster: ${getMonthQuery()}`;
+    generateVersions = [];
+    generatePreviewEl.innerHTML = "";
+    generateCommitBtn.classList.add("hidden");
+    generateModal.style.display = "block";
+    await loadPatterns();
+    await loadAssignments();
+  }
 
-      const shiftSelect = row.querySelector(".shift-select");
-      const wardInput = row.querySelector(".ward-input");
+  async function loadPatterns() {
+    patternListEl.innerHTML = "Loading...";
+    try {
+      const response = await apiFetch("/api/rotation-patterns");
+      if (!response.ok) throw new Error("Failed to fetch patterns");
+      rotationPatterns = await response.json();
 
-      shiftSelect.value = currentShift;
-      wardInput.value = currentWard;
+      patternListEl.innerHTML = "";
+      if (rotationPatterns.length === 0) {
+        patternListEl.innerHTML = "<p>No patterns yet. Add one above.</p>";
+      }
+      rotationPatterns.forEach((pattern) => {
+        const item = document.createElement("div");
+        item.className = "nurse-list-item";
+        item.innerHTML = `
+                    <span>${pattern.name}: ${pattern.sequence}</span>
+                    <button class="delete-nurse-btn" data-id="${pattern.pattern_id}">&times;</button>
+                `;
+        patternListEl.appendChild(item);
+      });
+    } catch (err) {
+      console.error(err);
+      patternListEl.innerHTML = "<p>Error loading patterns.</p>";
+    }
+    refreshPatternSelects();
+  }
 
-      shiftSelect.addEventListener("change", () =>
-        toggleWardInput(shiftSelect, wardInput)
-      );
-      toggleWardInput(shiftSelect, wardInput);
-      groupEl.appendChild(row);
-    });
+  function patternOptions(emptyLabel) {
+    return `<option value="">${emptyLabel}</option>${rotationPatterns
+      .map((p) => `<option value="${p.pattern_id}">${p.name}</option>`)
+      .join("")}`;
+  }
 
-    rosterModal.style.display = "block";
+  // Keeps the assignment dropdowns in sync after patterns change
+  function refreshPatternSelects() {
+    assignmentListEl.querySelectorAll(".pattern-select").forEach((select) => {
+      const value = select.value;
+      select.innerHTML = patternOptions(select.dataset.emptyLabel);
+      select.value = value;
+    });
   }
 
-  async function handleSaveRoster() {
-    const date = rosterModal.dataset.editingDate;
-    const rosterPayload = [];
-    const nurseRows = rosterListEl.querySelectorAll(".nurse-row");
+  // One row per group, followed by optional per-nurse overrides
+  async function loadAssignments() {
+    assignmentListEl.innerHTML = "Loading...";
+    try {
+      const response = await apiFetch("/api/nurses");
+      if (!response.ok) throw new Error("Failed to fetch nurses");
+      const nurses = await response.json();
 
-    nurseRows.forEach((row) => {
-      rosterPayload.push({
-        nurseId: row.dataset.nurseId,
-        shift: row.querySelector(".shift-select").value,
+      assignmentListEl.innerHTML = "";
+      let currentGroup = null;
+      const addRow = (className, label, data, emptyLabel) => {
+        const row = document.createElement("div");
+        row.className = `assignment-row ${className}`;
+        Object.assign(row.dataset, data);
+        row.innerHTML = `
+                    <label>${label}</label>
+                    <select class="pattern-select" data-empty-label="${emptyLabel}">
+                        ${patternOptions(emptyLabel)}
+                    </select>
+                    <input type="number" class="offset-input" min="0" value="0" title="Offset" />
+                    <select class="ward-input">${wardOptions()}</select>
+                `;
+        assignmentListEl.appendChild(row);
+      };
+      nurses.forEach((nurse) => {
+        if (nurse.group_id !== currentGroup) {
+          currentGroup = nurse.group_id;
+          addRow(
+            "group-row",
+            `Group ${nurse.group_id}`,
+            { groupId: nurse.group_id },
+            "-- No pattern --"
+          );
+        }
+        addRow(
+          "nurse-override",
+          nurse.full_name,
+          { nurseId: nurse.nurse_id },
+          "Group default"
+        );
+      });
+    } catch (err) {
+      console.error(err);
+      assignmentListEl.innerHTML = "<p>Error loading nurses.</p>";
+    }
+  }
+
+  function collectAssignments() {
+    const assignments = [];
+    assignmentListEl.querySelectorAll(".assignment-row").forEach((row) => {
+      const patternId = row.querySelector(".pattern-select").value;
+      if (!patternId) return;
+      assignments.push({
+        groupId: row.dataset.groupId ? Number(row.dataset.groupId) : undefined,
+        nurseId: row.dataset.nurseId ? Number(row.dataset.nurseId) : undefined,
+        patternId: Number(patternId),
+        offset: Number(row.querySelector(".offset-input").value) || 0,
         ward: row.querySelector(".ward-input").value,
       });
     });
+    return assignments;
+  }
 
-    const endpoint =
-      currentMode === "planned" ? "roster-planned" : "roster-actual";
-
+  async function handleAddPattern() {
+    const name = newPatternNameEl.value;
+    const sequence = newPatternSequenceEl.value;
+    if (!name || !sequence) {
+      alert("Please enter both a pattern name and its shift codes.");
+      return;
+    }
     try {
-      const response = await fetch(
-        `https://attendancetracker-backend-04g3.onrender.com/api/${endpoint}`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ date: date, roster: rosterPayload }),
-        }
-      );
-
+      const response = await apiFetch("/api/rotation-patterns", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, sequence }),
+      });
       if (!response.ok) {
         const err = await response.json();
-        throw new Error(err.details || "Failed to save");
+        throw new Error(err.error || "Failed to add pattern");
       }
-
-      alert("Roster Saved!");
-      rosterModal.style.display = "none";
-      renderCalendar();
+      newPatternNameEl.value = "";
+      newPatternSequenceEl.value = "";
+      loadPatterns();
     } catch (err) {
-      console.error("Failed to save roster", err);
-      alert(`Error: Could not save roster. ${err.message}`);
+      console.error(err);
+      alert(`Error adding pattern. ${err.message}`);
     }
   }
 
-  // --- NURSE MODAL FUNCTIONS ---
-
-  async function loadNurses() {
-    nurseManageListEl.innerHTML = "Loading...";
+  async function handleDeletePattern(e) {
+    if (!e.target.classList.contains("delete-nurse-btn")) return;
+    if (!confirm("Are you sure you want to delete this pattern?")) return;
     try {
-      const response = await fetch(
-        "https://attendancetracker-backend-04g3.onrender.com/api/nurses"
+      const response = await apiFetch(
+        `/api/rotation-patterns/${e.target.dataset.id}`,
+        { method: "DELETE" }
       );
-      const nurses = await response.json();
+      if (!response.ok) throw new Error("Failed to delete pattern");
+      loadPatterns();
+    } catch (err) {
+      console.error(err);
+      alert("Error deleting pattern.");
+    }
+  }
 
-      nurseManageListEl.innerHTML = "";
-      if (nurses.length === 0) {
-        nurseManageListEl.innerHTML = "<p>No nurses found. Add one above.</p>";
+  async function requestGenerate(commit) {
+    const assignments = collectAssignments();
+    if (assignments.length === 0) {
+      alert("Please choose a pattern for at least one group or nurse.");
+      return null;
+    }
+    const response = await apiFetch("/api/roster-planned/generate", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        month: getMonthQuery(),
+        assignments,
+        commit,
+        versions: commit ? generateVersions : undefined,
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(rosterErrorText(result) || "Generate failed");
+    }
+    if (!commit) generateVersions = result.versions || [];
+    return result;
+  }
+
+  function renderGeneratePreview(preview) {
+    let header = "<th>Nurse</th>";
+    for (let day = 1; day <= preview.daysInMonth; day++) {
+      header += `<th>${day}</th>`;
+    }
+    const rows = preview.nurses
+      .map((nurse) => {
+        let cells = `<td>${nurse.name}</td>`;
+        for (let day = 1; day <= preview.daysInMonth; day++) {
+          const cell = nurse.days[day];
+          cells += `<td class="${cell.existing ? "existing" : ""}">${
+            cell.shift
+          }</td>`;
+        }
+        return `<tr>${cells}</tr>`;
+      })
+      .join("");
+    generatePreviewEl.innerHTML = `
+            <p><strong>${preview.entryCount}</strong> shift(s) will be written.
+            ${preview.skipped} day(s) already planned are kept (shown in grey).</p>
+            <table class="preview-grid"><tr>${header}</tr>${rows}</table>
+        `;
+    generateCommitBtn.classList.toggle("hidden", preview.entryCount === 0);
+  }
+
+  async function handleGeneratePreview() {
+    generateCommitBtn.classList.add("hidden");
+    generatePreviewEl.innerHTML = "Generating preview...";
+    try {
+      const preview = await requestGenerate(false);
+      if (!preview) {
+        generatePreviewEl.innerHTML = "";
         return;
       }
+      renderGeneratePreview(preview);
+    } catch (err) {
+      console.error(err);
+      generatePreviewEl.innerHTML = `<p class="import-warning">Error: ${err.message}</p>`;
+    }
+  }
 
-      nurses.forEach((nurse) => {
+  async function handleGenerateCommit() {
+    try {
+      const result = await requestGenerate(true);
+      if (!result) return;
+      alert(
+        `Wrote ${result.entryCount} planned shift(s)${warningSuffix(result)}.`
+      );
+      generateModal.style.display = "none";
+      renderCalendar();
+    } catch (err) {
+      console.error("Failed to generate roster", err);
+      alert(`Error: Could not generate roster. ${err.message}`);
+    }
+  }
+
+  // --- USER MODAL FUNCTIONS ---
+
+  async function loadUsers() {
+    userManageListEl.innerHTML = "Loading...";
+    try {
+      const response = await apiFetch("/api/users");
+      if (!response.ok) throw new Error("Failed to fetch users");
+      const users = await response.json();
+
+      userManageListEl.innerHTML = "";
+      users.forEach((user) => {
         const item = document.createElement("div");
         item.className = "nurse-list-item";
         item.innerHTML = `
-                    <span>${nurse.full_name} (Group: ${nurse.group_id})</span>
-                    <button class="delete-nurse-btn" data-id="${nurse.nurse_id}">&times;</button>
+                    <span>${user.username} (${user.role})</span>
+                    ${
+                      user.user_id === currentUser.id
+                        ? ""
+                        : `<button class="delete-user-btn" data-id="${user.user_id}">&times;</button>`
+                    }
                 `;
-        nurseManageListEl.appendChild(item);
+        userManageListEl.appendChild(item);
       });
     } catch (err) {
       console.error(err);
-      nurseManageListEl.innerHTML = "<p>Error loading nurses.</p>";
+      userManageListEl.innerHTML = "<p>Error loading users.</p>";
     }
   }
 
-  async function handleAddNurse() {
-    const name = newNurseNameEl.value;
-    const group = newNurseGroupEl.value;
-    if (!name || !group) {
-      alert("Please enter both name and group ID.");
+  async function handleAddUser() {
+    const username = newUsernameEl.value;
+    const password = newUserPasswordEl.value;
+    const role = newUserRoleEl.value;
+    if (!username || !password) {
+      alert("Please enter both username and password.");
       return;
     }
 
     try {
-      const response = await fetch(
-        "https://attendancetracker-backend-04g3.onrender.com/api/nurses",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ name, group }),
-        }
-      );
-      if (!response.ok) throw new Error("Failed to add nurse");
+      const response = await apiFetch("/api/users", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password, role }),
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Failed to add user");
+      }
 
-      newNurseNameEl.value = "";
-      newNurseGroupEl.value = "";
-      loadNurses();
+      newUsernameEl.value = "";
+      newUserPasswordEl.value = "";
+      loadUsers();
     } catch (err) {
       console.error(err);
-      alert("Error adding nurse.");
+      alert(`Error adding user. ${err.message}`);
     }
   }
 
-  async function handleDeleteNurse(e) {
-    if (!e.target.classList.contains("delete-nurse-btn")) return;
-
-    const id = e.target.dataset.id;
-    if (
-      !confirm(
-        "Are you sure you want to delete this nurse? This will remove all their roster data."
-      )
-    ) {
-      return;
-    }
+  async function handleDeleteUser(e) {
+    if (!e.target.classList.contains("delete-user-btn")) return;
+    if (!confirm("Are you sure you want to delete this user?")) return;
 
     try {
-      const response = await fetch(
-        `https://attendancetracker-backend-04g3.onrender.com/api/nurses/${id}`,
-        {
-          method: "DELETE",
-        }
-      );
-      if (!response.ok) throw new Error("Failed to delete nurse");
-      loadNurses();
+      const response = await apiFetch(`/api/users/${e.target.dataset.id}`, {
+        method: "DELETE",
+      });
+      if (!response.ok) throw new Error("Failed to delete user");
+      loadUsers();
     } catch (err) {
       console.error(err);
-      alert("Error deleting nurse.");
+      alert("Error deleting user.");
     }
   }
 
   // --- EVENT LISTENERS ---
 
+  // Login / Logout
+  loginForm.addEventListener("submit", handleLogin);
+  logoutBtn.addEventListener("click", handleLogout);
+
   // Mode Toggle
   modePlannedBtn.addEventListener("click", () => {
     currentMode = "planned";
     modePlannedBtn.classList.add("active");
     modeActualBtn.classList.remove("active");
+    renderLockIndicators();
   });
   modeActualBtn.addEventListener("click", () => {
     currentMode = "actual";
     modeActualBtn.classList.add("active");
     modePlannedBtn.classList.remove("active");
+    renderLockIndicators();
   });
 
   // Calendar
   calendarGrid.addEventListener("click", (e) => {
     const dayCell = e.target.closest(".day-cell.current-month");
-    if (dayCell) {
+    if (!dayCell) return;
+    if ((e.ctrlKey || e.metaKey || e.shiftKey) && hasRole("manager")) {
+      handleDaySelection(e, dayCell.dataset.date);
+    } else {
       openRosterModal(dayCell.dataset.date);
     }
   });
+  copyWeekBtn.addEventListener("click", handleCopyWeek);
+  copyMonthBtn.addEventListener("click", handleCopyMonth);
+  copySelectionBtn.addEventListener("click", handleCopySelection);
 
-  // Roster Modal
-  closeRosterModalBtn.addEventListener(
-    "click",
-    () => (rosterModal.style.display = "none")
+  // Coverage Dashboard
+  coverageBtn.addEventListener("click", toggleCoverageDashboard);
+  analyticsBtn.addEventListener("click", toggleAnalyticsDashboard);
+  analyticsPresetEl.addEventListener("change", () => {
+    applyAnalyticsPreset();
+    loadAnalytics();
+  });
+  [analyticsFromEl, analyticsToEl].forEach((el) =>
+    el.addEventListener("change", () => (analyticsPresetEl.value = "custom"))
   );
+  document
+    .getElementById("analytics-run-btn")
+    .addEventListener("click", loadAnalytics);
+  analyticsDashboardEl.addEventListener("click", (e) => {
+    if (e.target.classList.contains("nurse-profile-link")) {
+      openProfileModal(e.target.dataset.id);
+    }
+  });
+  coverageSourceEl.addEventListener("change", renderCoverageDashboard);
+  addTargetBtn.addEventListener("click", () => addTargetRow());
+  saveTargetsBtn.addEventListener("click", handleSaveTargets);
+  coverageTargetsEl.addEventListener("click", (e) => {
+    if (e.target.classList.contains("delete-nurse-btn")) {
+      e.target.closest(".target-row").remove();
+    }
+  });
+
+  // Roster Modal
+  closeRosterModalBtn.addEventListener("click", closeRosterModal);
   saveRosterBtn.addEventListener("click", handleSaveRoster);
+  rosterHistoryBtn.addEventListener("click", handleToggleHistory);
+  checkRulesBtn.addEventListener("click", handleCheckRules);
 
   // Nurse Modal
   manageNursesBtn.addEventListener("click", () => {
     nurseModal.style.display = "block";
+    nurseEditFormEl.classList.add("hidden");
+    renderNurseWardFilter();
     loadNurses();
   });
   closeNurseModalBtn.addEventListener(
@@ -365,6 +3815,155 @@ document.addEventListener("DOMContentLoaded", () => {
   );
   addNurseBtn.addEventListener("click", handleAddNurse);
   nurseManageListEl.addEventListener("click", handleDeleteNurse);
+  nurseManageListEl.addEventListener("click", handleMoveGroup);
+  nurseManageListEl.addEventListener("click", openNurseEdit);
+  nurseSearchEl.addEventListener("input", handleNurseSearch);
+  nurseWardFilterEl.addEventListener("change", loadNurses);
+  nurseQualificationFilterEl.addEventListener("input", handleNurseSearch);
+  document
+    .getElementById("save-nurse-btn")
+    .addEventListener("click", handleSaveNurse);
+  document
+    .getElementById("cancel-nurse-edit-btn")
+    .addEventListener("click", () => nurseEditFormEl.classList.add("hidden"));
+  nurseArchivedListEl.addEventListener("click", handleReactivateNurse);
+  nurseArchivedListEl.addEventListener("click", (e) => {
+    if (e.target.classList.contains("nurse-profile-link")) {
+      openProfileModal(e.target.dataset.id);
+    }
+  });
+  nurseManageListEl.addEventListener("click", handleFeedClick);
+  nurseManageListEl.addEventListener("click", handleRevokeFeed);
+  nurseManageListEl.addEventListener("click", (e) => {
+    if (e.target.classList.contains("nurse-profile-link")) {
+      openProfileModal(e.target.dataset.id);
+    }
+  });
+
+  // Profile Modal
+  closeProfileModalBtn.addEventListener(
+    "click",
+    () => (profileModal.style.display = "none")
+  );
+  document
+    .getElementById("profile-prev")
+    .addEventListener("click", () => changeProfileMonth(-1));
+  document
+    .getElementById("profile-next")
+    .addEventListener("click", () => changeProfileMonth(1));
+
+  // Sync Modal
+  syncBtn.addEventListener("click", openSyncModal);
+  closeSyncModalBtn.addEventListener(
+    "click",
+    () => (syncModal.style.display = "none")
+  );
+  syncNowBtn.addEventListener("click", syncOutbox);
+  syncListEl.addEventListener("click", handleSyncAction);
+  window.addEventListener("online", () => setOffline(false));
+  window.addEventListener("offline", () => setOffline(true));
+
+  // Swap Modal
+  shiftSwapsBtn.addEventListener("click", openSwapModal);
+  closeSwapModalBtn.addEventListener(
+    "click",
+    () => (swapModal.style.display = "none")
+  );
+  addSwapBtn.addEventListener("click", handleAddSwap);
+  swapPendingListEl.addEventListener("click", handleSwapDecision);
+
+  // Leave Modal
+  leaveRequestsBtn.addEventListener("click", openLeaveModal);
+  closeLeaveModalBtn.addEventListener(
+    "click",
+    () => (leaveModal.style.display = "none")
+  );
+  addLeaveBtn.addEventListener("click", handleAddLeave);
+  leavePendingListEl.addEventListener("click", handleLeaveDecision);
+  balanceYearEl.addEventListener("change", loadLeaveBalances);
+  saveEntitlementBtn.addEventListener("click", handleSaveEntitlement);
+
+  // Ward Modal
+  manageWardsBtn.addEventListener("click", () => {
+    wardModal.style.display = "block";
+    normaliseListEl.innerHTML = "";
+    applyNormaliseBtn.classList.add("hidden");
+    renderWardList();
+  });
+  closeWardModalBtn.addEventListener(
+    "click",
+    () => (wardModal.style.display = "none")
+  );
+  addWardBtn.addEventListener("click", handleAddWard);
+  wardManageListEl.addEventListener("click", handleWardListClick);
+  wardManageListEl.addEventListener("click", handleFeedClick);
+  wardManageListEl.addEventListener("click", handleRevokeFeed);
+  findWardValuesBtn.addEventListener("click", handleFindWardValues);
+  applyNormaliseBtn.addEventListener("click", handleApplyNormalise);
+
+  // Generate Modal
+  generateRosterBtn.addEventListener("click", openGenerateModal);
+  closeGenerateModalBtn.addEventListener(
+    "click",
+    () => (generateModal.style.display = "none")
+  );
+  addPatternBtn.addEventListener("click", handleAddPattern);
+  patternListEl.addEventListener("click", handleDeletePattern);
+  generatePreviewBtn.addEventListener("click", handleGeneratePreview);
+  generateCommitBtn.addEventListener("click", handleGenerateCommit);
+  assignmentListEl.addEventListener("change", () =>
+    generateCommitBtn.classList.add("hidden")
+  );
+
+  // User Modal
+  manageUsersBtn.addEventListener("click", () => {
+    userModal.style.display = "block";
+    loadUsers();
+  });
+  closeUserModalBtn.addEventListener(
+    "click",
+    () => (userModal.style.display = "none")
+  );
+  addUserBtn.addEventListener("click", handleAddUser);
+  userManageListEl.addEventListener("click", handleDeleteUser);
+
+  // Import Modal
+  importRosterBtn.addEventListener("click", openImportModal);
+  closeImportModalBtn.addEventListener(
+    "click",
+    () => (importModal.style.display = "none")
+  );
+  importPreviewBtn.addEventListener("click", handleImportPreview);
+  importCommitBtn.addEventListener("click", handleImportCommit);
+  importFileEl.addEventListener("change", () => {
+    importPreviewEl.innerHTML = "";
+    importCommitBtn.classList.add("hidden");
+  });
+
+  // Holiday Modal
+  document
+    .getElementById("holidays-btn")
+    .addEventListener("click", openHolidayModal);
+  document
+    .getElementById("close-holiday-modal")
+    .addEventListener("click", () => (holidayModal.style.display = "none"));
+  document
+    .getElementById("add-holiday-btn")
+    .addEventListener("click", handleAddHoliday);
+  holidayYearEl.addEventListener("change", renderHolidayList);
+  holidayListEl.addEventListener("click", handleDeleteHoliday);
+  document
+    .getElementById("holiday-import-preview-btn")
+    .addEventListener("click", handleHolidayImportPreview);
+  holidayImportCommitBtn.addEventListener("click", handleHolidayImportCommit);
+  holidayFileEl.addEventListener("change", () => {
+    holidayImportPreviewEl.innerHTML = "";
+    holidayImportCommitBtn.classList.add("hidden");
+  });
+  document
+    .getElementById("holiday-prefill-preview-btn")
+    .addEventListener("click", handleHolidayPrefillPreview);
+  holidayPrefillCommitBtn.addEventListener("click", handleHolidayPrefillCommit);
 
   // Month Navigation
   document.getElementById("prev-month").addEventListener("click", () => {
@@ -376,23 +3975,52 @@ document.addEventListener("DOMContentLoaded", () => {
     renderCalendar();
   });
 
-  // Download Button
+  // Download Buttons
   document
     .getElementById("download-actual-btn")
-    .addEventListener("click", () => {
-      const year = currentDate.getFullYear();
-      const monthNum = String(currentDate.getMonth() + 1).padStart(2, "0");
-      const monthQuery = `${year}-${monthNum}`;
-      const reportUrl = `https://attendancetracker-backend-04g3.onrender.com/api/report-actual?month=${monthQuery}`;
-      window.location.href = reportUrl;
-    });
+    .addEventListener("click", () =>
+      downloadReport(
+        `/api/report-actual?month=${getMonthQuery()}`,
+        `ActualRoster_${getMonthQuery()}.xlsx`
+      )
+    );
+  document
+    .getElementById("download-comparison-btn")
+    .addEventListener("click", () =>
+      downloadReport(
+        `/api/report-comparison?month=${getMonthQuery()}`,
+        `ComparisonRoster_${getMonthQuery()}.xlsx`
+      )
+    );
+  document
+    .getElementById("download-payroll-btn")
+    .addEventListener("click", () =>
+      downloadReport(
+        `/api/payroll?month=${getMonthQuery()}&format=csv`,
+        `Payroll_${getMonthQuery()}.csv`
+      )
+    );
 
   // Close modals on overlay click
   window.addEventListener("click", (e) => {
-    if (e.target === rosterModal) rosterModal.style.display = "none";
+    if (e.target === rosterModal) closeRosterModal();
     if (e.target === nurseModal) nurseModal.style.display = "none";
+    if (e.target === importModal) importModal.style.display = "none";
+    if (e.target === userModal) userModal.style.display = "none";
+    if (e.target === wardModal) wardModal.style.display = "none";
+    if (e.target === leaveModal) leaveModal.style.display = "none";
+    if (e.target === swapModal) swapModal.style.display = "none";
+    if (e.target === holidayModal) holidayModal.style.display = "none";
+    if (e.target === syncModal) syncModal.style.display = "none";
+    if (e.target === profileModal) profileModal.style.display = "none";
+    if (e.target === generateModal) generateModal.style.display = "none";
   });
 
   // --- INITIALIZATION ---
-  renderCalendar();
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker
+      .register("sw.js")
+      .catch((err) => console.error("Service worker not registered", err));
+  }
+  restoreSession();
 });
@@ -0,0 +1,69 @@
+// Service worker for the tracker: keeps the app shell available offline.
+// API data is cached by app.js in IndexedDB, so requests to the backend
+// (a different origin) pass straight through.
+const CACHE_NAME = "caresync-shell-v1";
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "app.js",
+  "style.css",
+  "manifest.json",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so a deploy is picked up straight away; the cached copy is
+// only used when the network is unreachable
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+  event.respondWith(
+    fetch(event.request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches
+            .open(CACHE_NAME)
+            .then((cache) => cache.put(event.request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(event.request, { ignoreSearch: true })
+          .then(
+            (cached) =>
+              cached ||
+              (event.request.mode === "navigate"
+                ? caches.match("index.html")
+                : Response.error())
+          )
+      )
+  );
+});